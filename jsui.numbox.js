@@ -47,16 +47,14 @@ Notes;
 - The object is not being registered as a parameter in Live.
 - There may be issues with initial value and dB unit style due to dbtoa conversion step - will debug later.
 - Cycling74 says that properties should not be updated dynamically (setattr). Only use attributes to change internal functionality... But setattr has to be used for loading saved state?
-- No _parameter_units: only float values are currently supported.
-- No _parameter_exponent: Exponential scaling for parameter mapping - currently uses linear scaling
 - Unique identifier addressing: No "---" style unique ID system for remote addressing
 - Parameter automation: No automation visualisation capabilities or setup
 - Accessibility features: No screen reader support
-- Color themes: currently matches Live's LCD color scheme and look
+- Color themes: follows Live's LCD color scheme, per-instance colors override it (see color)
 */
 
 autowatch = 1;
-outlets = 2;
+outlets = 3;
 
 mgraphics.init();
 mgraphics.relative_coords = 0;
@@ -69,57 +67,212 @@ var currentValue = -10; //to see if initial value can persist
 var minValue = -100;  // Default fallback
 var maxValue = 100;   // Default fallback
 var initialValue = 0; // Default fallback
+var exponent = 1;     // Default: linear scaling (from _parameter_exponent)
+var parameterSteps = 0; // Default: continuous (from _parameter_steps)
+var rangeMode = 0;      // Out-of-range handling: 0 = clamp, 1 = wrap, 2 = fold (persisted per instance)
+var softRangeEnabled = 0; // 1 = dragging and arrow keys are limited to softMin..softMax
+var softMin = 0;
+var softMax = 0;
+var parameterType = 0;     // Effective type: 0 = float, 1 = int, 2 = enum
+var parameterTypeAttr = 0; // Last _parameter_type read from the inspector
+var enumItems = [];        // Item names when _parameter_type is enum (read from _parameter_range)
+var enumSymbolOutput = 0;  // 1 = outlet 0 sends "index symbol" for enum, 0 = index only
+var middleCOctave = 3;     // Octave number shown for MIDI note 60 (Live uses C3)
+var timeSyncMode = 0;      // 1 = time unit style shows note divisions instead of ms
+var syncIndex = 10;        // Current note division index (see syncDivisions), default 1/8
+var tempoBpm = 120;        // Tempo used to convert note divisions to ms
+var rangeOverride = null;   // Range set by the range/min/max messages (used instead of _parameter_range)
+var normalizedOutput = 0;  // 1 = outlet 2 also sends the value as a normalized 0..1 position
+var appearanceMode = 0;    // 0 plain, 1 slider fill, 2 triangle marker
 var textJustification = "centre"; // Default: "left", "centre", "right"
 var activeState = 1; // Default to active (1 = active, 0 = inactive)
 
-// === STEP SIZE CONSTANTS ===
-// Status: ✅ WORKING - Global step sizes for consistent behavior across drag and arrow key functions
-// These values control both mouse dragging and arrow key stepping behavior:
-// - Mouse drag: delta movement * step size (shift modifier uses fine step size)
-// - Arrow keys: current value +/- normal step size
-var normalStepSize = 0.5;  // Normal step size for dragging and arrow keys
-var fineStepSize = 0.02;   // Fine step size for shift+drag only
+// === DRAG SENSITIVITY ===
+// Status: 🔍 TBTC - Steps are relative to the range, like live.numbox
+// - Mouse drag: a full sweep of the range takes dragPixels (shift = fineDragScale of that speed),
+//   optionally sped up by mouse velocity (dragAcceleration, persisted per instance)
+// - Cmd/ctrl+drag: coarseDragScale of the normal speed, option+drag snaps to whole units
+// - Arrow keys: keyStepSize of the normalized range per press (shift = fine), PageUp/PageDown
+//   pageStepSize, Home/End jump to min/max
+var dragPixels = 200;       // Drag distance (pixels) for a full min-to-max sweep
+var fineDragScale = 0.1;    // Shift+drag moves at this fraction of the normal speed
+var dragAcceleration = 0;   // Velocity acceleration amount (0 = off)
+var maxDragAcceleration = 8; // Upper limit for the velocity multiplier
+var keyStepSize = 0.01;     // Arrow key step as a fraction of the normalized range
+var pageStepSize = 0.1;     // PageUp/PageDown step as a fraction of the normalized range
+var coarseDragScale = 4;    // Cmd/ctrl+drag moves at this multiple of the normal speed
+var dragDirection = 0;      // 0 = vertical, 1 = horizontal, 2 = both (persisted per instance)
+var enumDragPixels = 10;    // Vertical drag distance (pixels) per enum item or note division
+
+// === OUTPUT RAMP STATE ===
+var rampTime = 0;        // Output ramp time in ms (0 = use _parameter_speedlim), persisted per instance
+var rampInterval = 10;   // Ramp update rate in ms
+var rampValue = null;    // Last value sent on outlet 0, in the displayed unit (null = nothing sent yet)
+var rampTarget = 0;
+var rampIncrement = 0;
+var rampRunning = false;
+var rampTask = new Task(rampTick, this);
+
+// === MODULATION STATE ===
+var modulationAmount = 0; // Last "modulate" amount (normalized offset around the base value)
 
 // === PARAMETER ATTRIBUTE FUNCTIONS ===
 // Status: ✅ WORKING - These correctly read from inspector attributes
 
-// update parameter type to float (no other types supported yet)
+// Update parameter type from inspector (float, int and enum supported)
 function updateParameterType() {
     var currentType = box.getattr("_parameter_type");
     //post("DEBUG: Current _parameter_type:", currentType, "\n");
     
-    // Only set to float (0) if not already set
-    if (currentType !== 0) {
-        post("Set _parameter_type to 0 (float) - nothing else supported yet\n");
-        //box.setattr("_parameter_type", 0);
-        // STATUS: ❓ INVESTIGATION NEEDED - Is this setattr call needed for Live registration?
+    // Only react when the inspector value actually changed
+    if (currentType === parameterTypeAttr) {
+        return;
+    }
+    parameterTypeAttr = currentType;
+    
+    switch (currentType) {
+        case 0: // float
+        case 1: // int
+        case 2: // enum
+            parameterType = currentType;
+            break;
+        default:
+            post("_parameter_type", currentType, "not supported yet - using float\n");
+            parameterType = 0;
+            //box.setattr("_parameter_type", 0);
+            // STATUS: ❓ INVESTIGATION NEEDED - Is this setattr call needed for Live registration?
+            break;
     }
 }
 
 // Update min/max values from inspector range attribute
 function updateRange() {
     // Status: ✅ WORKING - Correctly reads and applies range from inspector
-    var rangeAttr = box.getattr("_parameter_range");
+    // The range is interpreted differently per type, so make sure the type is current
+    updateParameterType();
+    
+    // Parameter attributes can't change at runtime in Max for Live, so range messages override them here
+    var rangeAttr = rangeOverride || box.getattr("_parameter_range");
     
-    // Range should be an array [min, max]
-    if (rangeAttr && rangeAttr.length >= 2) {
+    if (parameterType === 2) {
+        // Enum: range is a list of item symbols, value is the item index
+        enumItems = attrToStringArray(rangeAttr);
+        minValue = 0;
+        maxValue = Math.max(0, enumItems.length - 1);
+    } else if (rangeAttr && rangeAttr.length >= 2) {
+        // Range should be an array [min, max]
         minValue = rangeAttr[0];
         maxValue = rangeAttr[1];
+    } else {
+        return;
+    }
+    
+    // Clamp current value to new range
+    var newValue = constrainValue(currentValue);
+    if (newValue !== currentValue) {
+        currentValue = newValue;
+        updateDisplay();
         
-        // Clamp current value to new range
-        var newValue = Math.max(minValue, Math.min(maxValue, currentValue));
-        if (newValue !== currentValue) {
-            currentValue = newValue;
-            updateDisplay();
-            
-            // Only output if active
-            if (activeState) {
-                outlet(0, outputValue);
-            }
+        // Only output if active (and not while a saved state is being applied)
+        if (activeState && !restoringState) {
+            sendValue();
         }
     }
 }
 
+// Keep a value in the current range (clamp, wrap or fold), quantize to _parameter_steps
+// (and to a whole number for int and enum)
+function constrainValue(value) {
+    if (rangeMode === 1 && (parameterType === 1 || parameterType === 2)) {
+        value = Math.round(value); // Round before wrapping so max + 0.6 wraps to min, not back to max
+    }
+    value = applyRangeMode(value);
+    if (parameterSteps > 1 && parameterType !== 2) {
+        value = normalizedToValue(quantizeNormalized(valueToNormalized(value)));
+    }
+    if (parameterType === 1 || parameterType === 2) {
+        // Round towards the range so a fractional min/max can't push the value outside it
+        value = Math.round(value);
+        if (value < Math.min(minValue, maxValue)) value = Math.ceil(Math.min(minValue, maxValue));
+        if (value > Math.max(minValue, maxValue)) value = Math.floor(Math.max(minValue, maxValue));
+    }
+    return value;
+}
+
+// Bring a value into the range according to rangeMode: 0 clamp, 1 wrap, 2 fold (ping-pong)
+function applyRangeMode(value) {
+    var low = Math.min(minValue, maxValue);
+    var span = Math.max(minValue, maxValue) - low;
+    
+    if (rangeMode === 1 && span > 0) {
+        // Whole-number values wrap over one extra step so min and max stay distinct (0..7: 8 -> 0)
+        if (parameterType === 1 || parameterType === 2) {
+            span += 1;
+        } else if (value === low + span) {
+            return value; // Float max itself stays max (End, typed, initial and restored values)
+        }
+        return low + positiveModulo(value - low, span);
+    }
+    if (rangeMode === 2 && span > 0) {
+        var folded = positiveModulo(value - low, 2 * span);
+        return low + ((folded <= span) ? folded : 2 * span - folded);
+    }
+    return Math.max(minValue, Math.min(maxValue, value));
+}
+
+// Same as applyRangeMode for a normalized 0..1 position (used by dragging and key steps)
+function applyRangeModeNormalized(position) {
+    if (rangeMode === 1) {
+        return positiveModulo(position, 1);
+    }
+    if (rangeMode === 2) {
+        var folded = positiveModulo(position, 2);
+        return (folded <= 1) ? folded : 2 - folded;
+    }
+    return position; // Clamped by normalizedToValue
+}
+
+// Modulo that is always positive (JavaScript's % keeps the sign of the dividend)
+function positiveModulo(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+// Set how values outside the range are handled: 0/clamp, 1/wrap or 2/fold
+function rangemode(mode) {
+    if (mode === "clamp") mode = 0;
+    if (mode === "wrap") mode = 1;
+    if (mode === "fold") mode = 2;
+    rangeMode = Math.max(0, Math.min(2, Math.round(mode))) || 0;
+}
+
+// Set the soft range for dragging and arrow keys: "softrange <min> <max>", or "softrange" to remove it
+// Typed values, msg_float and setvalueof still use the full _parameter_range
+function softrange(min, max) {
+    if (arguments.length >= 2 && min !== max) {
+        softMin = Math.min(min, max);
+        softMax = Math.max(min, max);
+        softRangeEnabled = 1;
+    } else {
+        softRangeEnabled = 0;
+    }
+    mgraphics.redraw();
+}
+
+// Limit a mouse/key value to the soft range. A value that is already outside it (typed or
+// received) may move back towards the soft range, but never further away from it
+function limitToSoftRange(value, fromValue) {
+    if (!softRangeEnabled) {
+        return value;
+    }
+    var low = Math.min(softMin, fromValue);
+    var high = Math.max(softMax, fromValue);
+    return Math.max(low, Math.min(high, value));
+}
+
+function isOutsideSoftRange(value) {
+    return softRangeEnabled === 1 && (value < softMin || value > softMax);
+}
+
 // Update initial value from inspector
 function updateInitialValue() {
     // Status: ✅ WORKING - Correctly reads initial value settings
@@ -136,18 +289,471 @@ function updateInitialValue() {
     }
 }
 
+// Update curve exponent from inspector
+function updateExponent() {
+    // Status: 🔍 TBTC - Mirrors live.numbox mapping (1 = linear, >1 = more resolution near minimum)
+    var exponentAttr = box.getattr("_parameter_exponent");
+    
+    if (exponentAttr !== null && exponentAttr !== undefined && exponentAttr > 0) {
+        exponent = exponentAttr;
+    } else {
+        // Fall back to linear if exponent is missing or invalid
+        exponent = 1;
+    }
+}
+
+// Update number of discrete steps from inspector (0 or 1 = continuous)
+function updateSteps() {
+    // Status: 🔍 TBTC - Steps are spread evenly over the normalized position, like live.numbox
+    var stepsAttr = box.getattr("_parameter_steps");
+    parameterSteps = (stepsAttr && stepsAttr > 1) ? Math.floor(stepsAttr) : 0;
+}
+
 // Get current unit style from inspector
 function getUnitStyle() {
     // Status: ✅ WORKING - Returns correct unit style for display formatting
     return box.getattr("_parameter_unitstyle") || 0;
 }
 
+// Get custom unit format string from inspector (used by unit style 9)
+function getCustomUnits() {
+    // Status: 🔍 TBTC - Multi-word formats may come back as a list of symbols, so join them
+    return attrToStringArray(box.getattr("_parameter_units")).join(" ");
+}
+
 // Convert dB to linear amplitude (exact formula: 10^(dB/20))
 // Used for object output value when in dB Parameter Unit Style
 function dbtoa(dB) {
     return Math.pow(10, dB / 20);
 }
 
+// Convert a value in the displayed unit to what outlet 0 sends (amplitude for dB, 0 at "-inf")
+function displayToOutput(value) {
+    if (getUnitStyle() === 4) {
+        return (value <= -80.0) ? 0.0 : dbtoa(value);
+    }
+    return value;
+}
+
+// === NORMALIZED MAPPING ===
+// Status: 🔍 TBTC - Values move along a normalized 0..1 position mapped through the exponent
+// value = min + (max - min) * position^exponent (same curve as live.numbox)
+
+// Convert a value in the parameter range to its normalized 0..1 position
+function valueToNormalized(value) {
+    if (maxValue === minValue) {
+        return 0;
+    }
+    var linear = (value - minValue) / (maxValue - minValue);
+    linear = Math.max(0, Math.min(1, linear));
+    return Math.pow(linear, 1 / exponent);
+}
+
+// Convert a normalized 0..1 position back to a value in the parameter range
+function normalizedToValue(position) {
+    position = Math.max(0, Math.min(1, position));
+    return minValue + (maxValue - minValue) * Math.pow(position, exponent);
+}
+
+// Snap a normalized position to the nearest of parameterSteps evenly spaced positions
+function quantizeNormalized(position) {
+    if (parameterSteps < 2) {
+        return position;
+    }
+    var divisions = parameterSteps - 1;
+    return Math.round(position * divisions) / divisions;
+}
+
+// Move a value by a step measured in normalized 0..1 position along the curve
+// Wrap and fold modes continue past the ends instead of stopping there
+function stepNormalized(value, step) {
+    return normalizedToValue(applyRangeModeNormalized(valueToNormalized(value) + step));
+}
+
+// === ENUM ITEMS ===
+// Status: 🔍 TBTC - Enum support (_parameter_type 2) for live.menu/live.tab style selectors
+
+// Convert an attribute value (single symbol or array-like) to an array of strings
+function attrToStringArray(attr) {
+    var items = [];
+    
+    if (attr !== null && attr !== undefined) {
+        if (typeof attr === 'string') {
+            items = [attr];
+        } else if (typeof attr === 'object' && attr.length !== undefined) {
+            for (var i = 0; i < attr.length; i++) {
+                items.push(attr[i].toString());
+            }
+        }
+    }
+    
+    return items;
+}
+
+// Get the item name for an enum index (empty string when out of range)
+function getEnumItem(index) {
+    var item = enumItems[Math.round(index)];
+    return (item !== undefined) ? item : "";
+}
+
+// Find the enum item matching typed text: exact name first, then first prefix match
+// Returns NaN when nothing matches so callers can treat it like a failed parseFloat
+function findEnumIndex(text) {
+    var search = text.toLowerCase();
+    if (search.length === 0) {
+        return NaN;
+    }
+    
+    for (var i = 0; i < enumItems.length; i++) {
+        if (enumItems[i].toLowerCase() === search) {
+            return i;
+        }
+    }
+    for (var i = 0; i < enumItems.length; i++) {
+        if (enumItems[i].toLowerCase().indexOf(search) === 0) {
+            return i;
+        }
+    }
+    return NaN;
+}
+
+// === NORMALIZED INPUT/OUTPUT ===
+// Status: 🔍 TBTC - 0..1 positions for controllers and modulators, using the same curve
+// as dragging (exponent, steps, enum items and synced time divisions)
+
+// Set and output the value from a normalized 0..1 position
+function normalized(position) {
+    updateRange();
+    updateSteps();
+    position = Math.max(0, Math.min(1, position));
+    
+    if (isTimeSynced()) {
+        setSyncDivision(position * (syncDivisions.length - 1));
+        return;
+    }
+    currentValue = constrainValue(normalizedToValue(position));
+    updateDisplay();
+    mgraphics.redraw();
+    
+    // Notify pattr/Live that our value changed
+    notifyclients();
+    
+    // Only output if active
+    if (activeState) {
+        sendValue();
+    }
+}
+
+// Enable/disable the normalized 0..1 output on outlet 2
+function normalizedout(enable) {
+    normalizedOutput = enable ? 1 : 0;
+}
+
+// Normalized 0..1 position of an output value (the sync division when synced)
+function getNormalizedOutput(value) {
+    if (isTimeSynced()) {
+        return syncIndex / (syncDivisions.length - 1);
+    }
+    return valueToNormalized(value);
+}
+
+// Enable/disable sending the item symbol after the index on outlet 0 (enum only)
+function outputsymbol(enable) {
+    enumSymbolOutput = enable ? 1 : 0;
+}
+
+// === PAN UNIT STYLE ===
+// Status: 🔍 TBTC - Live shows pan as 50L..C..50R regardless of the parameter range
+
+// Map a value in the parameter range to Live's -50..50 pan display range
+function valueToPan(value) {
+    if (maxValue === minValue) {
+        return 0;
+    }
+    return ((value - minValue) / (maxValue - minValue)) * 100 - 50;
+}
+
+// Map a -50..50 pan amount back to the parameter range
+function panToValue(pan) {
+    pan = Math.max(-50, Math.min(50, pan));
+    return minValue + ((pan + 50) / 100) * (maxValue - minValue);
+}
+
+// Format a value as "C", "25L" or "40R"
+function formatPan(value) {
+    var pan = Math.round(valueToPan(value));
+    if (pan === 0) {
+        return "C";
+    }
+    return (pan < 0) ? (-pan) + "L" : pan + "R";
+}
+
+// Parse typed pan text: "30L", "l30", "r12", "12R", "c" or a plain -50..50 number
+// Returns the value in the parameter range, or NaN if the text isn't a pan amount
+function parsePan(text) {
+    var input = text.replace(/\s+/g, "").toLowerCase();
+    
+    if (input === "c") {
+        return panToValue(0);
+    }
+    
+    // Amount before the side marker ("30l") or after it ("l30")
+    var match = /^(\d*\.?\d+)([lr])$/.exec(input);
+    if (match) {
+        return panToValue(match[2] === "l" ? -parseFloat(match[1]) : parseFloat(match[1]));
+    }
+    match = /^([lr])(\d*\.?\d+)$/.exec(input);
+    if (match) {
+        return panToValue(match[1] === "l" ? -parseFloat(match[2]) : parseFloat(match[2]));
+    }
+    
+    var pan = parseFloat(input);
+    return isNaN(pan) ? NaN : panToValue(pan);
+}
+
+// === MIDI NOTE UNIT STYLE ===
+// Status: 🔍 TBTC - Live's convention: note 60 = C3, so note 0 = C-2 and note 127 = G8
+
+var noteNames = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+var noteOffsets = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+// Set which octave number middle C (note 60) is shown as
+function middlec(octave) {
+    middleCOctave = Math.round(octave);
+    updateDisplay();
+    mgraphics.redraw();
+}
+
+// Format a MIDI note number as a note name with octave
+function formatNoteName(value) {
+    var note = Math.round(value);
+    var pitchClass = ((note % 12) + 12) % 12;
+    var octave = Math.floor(note / 12) + (middleCOctave - 5);
+    return noteNames[pitchClass] + octave;
+}
+
+// Parse a typed note name ("d#4", "Bb2", "C-1") or note number
+// Returns the note number, or NaN if the text isn't a note
+function parseNoteName(text) {
+    var input = text.replace(/\s+/g, "").toLowerCase();
+    var match = /^([a-g])([#b]?)(-?\d+)$/.exec(input);
+    
+    if (match) {
+        var note = noteOffsets[match[1]];
+        if (match[2] === "#") note += 1;
+        if (match[2] === "b") note -= 1;
+        return note + (parseInt(match[3], 10) - (middleCOctave - 5)) * 12;
+    }
+    
+    // Note numbers, including relative input like "+12"
+    return parseTypedValue(text);
+}
+
+// === TEMPO-SYNCED TIME ===
+// Status: 🔍 TBTC - Synced mode for the time unit style: note divisions instead of ms
+// The free ms value (currentValue) is kept while synced, so switching back restores it
+
+// Note divisions ordered by length (beats are quarter notes)
+var syncDivisions = [
+    { name: "1/64T", beats: 1 / 24 },
+    { name: "1/64",  beats: 1 / 16 },
+    { name: "1/32T", beats: 1 / 12 },
+    { name: "1/64D", beats: 3 / 32 },
+    { name: "1/32",  beats: 1 / 8 },
+    { name: "1/16T", beats: 1 / 6 },
+    { name: "1/32D", beats: 3 / 16 },
+    { name: "1/16",  beats: 1 / 4 },
+    { name: "1/8T",  beats: 1 / 3 },
+    { name: "1/16D", beats: 3 / 8 },
+    { name: "1/8",   beats: 1 / 2 },
+    { name: "1/4T",  beats: 2 / 3 },
+    { name: "1/8D",  beats: 3 / 4 },
+    { name: "1/4",   beats: 1 },
+    { name: "1/2T",  beats: 4 / 3 },
+    { name: "1/4D",  beats: 3 / 2 },
+    { name: "1/2",   beats: 2 },
+    { name: "1/1T",  beats: 8 / 3 },
+    { name: "1/2D",  beats: 3 },
+    { name: "1/1",   beats: 4 },
+    { name: "1/1D",  beats: 6 },
+    { name: "2/1",   beats: 8 },
+    { name: "4/1",   beats: 16 }
+];
+var defaultSyncIndex = 10; // 1/8
+
+// Synced mode only applies to the time unit style (and never to enum)
+function isTimeSynced() {
+    return timeSyncMode === 1 && parameterType !== 2 && getUnitStyle() === 2;
+}
+
+// Length of a note division in ms at the current tempo
+function syncDivisionToMs(index) {
+    return syncDivisions[index].beats * 60000 / tempoBpm;
+}
+
+// Find a note division by name (case-insensitive, spaces ignored)
+// Returns NaN when nothing matches so callers can treat it like a failed parseFloat
+function findSyncDivision(text) {
+    var search = text.replace(/\s+/g, "").toLowerCase();
+    for (var i = 0; i < syncDivisions.length; i++) {
+        if (syncDivisions[i].name.toLowerCase() === search) {
+            return i;
+        }
+    }
+    return NaN;
+}
+
+// Select a note division, clamped to the table, and output it if it changed
+function setSyncDivision(index) {
+    index = Math.max(0, Math.min(syncDivisions.length - 1, Math.round(index)));
+    if (index !== syncIndex) {
+        syncIndex = index;
+        updateDisplay();
+        mgraphics.redraw();
+        
+        // Notify pattr/Live that our value changed (getvalueof returns the division while synced)
+        notifyclients();
+        
+        // Only output if active
+        if (activeState) {
+            sendValue();
+        }
+    }
+}
+
+// Switch the time unit style between free (0) and synced (1) time
+function sync(enable) {
+    timeSyncMode = enable ? 1 : 0;
+    updateDisplay();
+    mgraphics.redraw();
+    
+    // getvalueof switches between the ms value and the division index
+    notifyclients();
+    
+    // Output so downstream objects follow the switch
+    if (activeState) {
+        sendValue();
+    }
+}
+
+// Select a note division by index from a message
+function division(index) {
+    setSyncDivision(index);
+}
+
+// Set the tempo used for the ms equivalent of note divisions
+function tempo(bpm) {
+    if (bpm > 0) {
+        tempoBpm = bpm;
+        if (isTimeSynced()) {
+            updateDisplay();
+            
+            // Only output if active
+            if (activeState) {
+                sendValue();
+            }
+        }
+    }
+}
+
+// === TYPED VALUE PARSING ===
+// Status: 🔍 TBTC - Converts typed text with units and simple arithmetic into the current unit style
+
+// Unit suffixes accepted for a unit style, as multipliers into the displayed unit
+function getUnitMultipliers(unitStyle) {
+    switch (unitStyle) {
+        case 2: // time (ms)
+            return { "": 1, "ms": 1, "s": 1000, "sec": 1000, "k": 1000 };
+        case 3: // hertz
+            return { "": 1, "hz": 1, "k": 1000, "khz": 1000 };
+        case 4: // dB
+            return { "": 1, "db": 1 };
+        case 5: // percent
+            return { "": 1, "%": 1 };
+        case 7: // semitone
+            return { "": 1, "st": 1 };
+        case 9: // custom - also accept the literal unit text from the format ("x", "bars")
+            var units = { "": 1, "k": 1000 };
+            var customSuffix = getCustomUnits().replace(/%[-+ 0]*\d*(?:\.\d+)?[dif]/g, "")
+                                               .replace(/\s+/g, "").toLowerCase();
+            if (customSuffix.length > 0 && customSuffix.indexOf("%") === -1) {
+                units[customSuffix] = 1;
+            }
+            return units;
+        default:
+            return { "": 1, "k": 1000 };
+    }
+}
+
+// Parse typed text in the current unit style. Accepts:
+// - numbers with unit suffixes: "2k", "2 kHz", "1.5s", "-6dB", "50%", "1e3", "-inf"
+// - arithmetic with the usual precedence: "440*2", "100+20/2"
+// - relative input from a leading operator: "+3", "*2", "/2" (a leading "-" is a negative number)
+// Returns NaN if the text isn't a valid value
+function parseTypedValue(text) {
+    var input = text.toLowerCase().replace(/^\s+|\s+$/g, "");
+    var units = getUnitMultipliers(getUnitStyle());
+    var position = 0;
+    
+    function skipSpaces() {
+        while (input.charAt(position) === " ") {
+            position++;
+        }
+    }
+    
+    // A signed number (or "inf") followed by an optional unit suffix
+    function parseOperand() {
+        skipSpaces();
+        var match = /^(-?)(inf|(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([a-z%]*)/.exec(input.substr(position));
+        if (!match) {
+            return NaN;
+        }
+        position += match[0].length;
+        
+        var multiplier = units[match[3]];
+        if (multiplier === undefined) {
+            return NaN; // Unit doesn't belong to this unit style
+        }
+        var number = (match[2] === "inf") ? Infinity : parseFloat(match[2]);
+        return (match[1] ? -number : number) * multiplier;
+    }
+    
+    // Operands joined by * and /
+    function parseProduct(result) {
+        skipSpaces();
+        while (!isNaN(result) && (input.charAt(position) === "*" || input.charAt(position) === "/")) {
+            var operator = input.charAt(position++);
+            var operand = parseOperand();
+            result = (operator === "*") ? result * operand : result / operand;
+            skipSpaces();
+        }
+        return result;
+    }
+    
+    var result;
+    var first = input.charAt(0);
+    if (first === "*" || first === "/") {
+        // Relative: scale the current value
+        result = parseProduct(currentValue);
+    } else if (first === "+") {
+        // Relative: add to the current value
+        position = 1;
+        result = currentValue + parseProduct(parseOperand());
+    } else {
+        result = parseProduct(parseOperand());
+    }
+    
+    // Terms joined by + and -
+    while (!isNaN(result) && (input.charAt(position) === "+" || input.charAt(position) === "-")) {
+        var operator = input.charAt(position++);
+        var term = parseProduct(parseOperand());
+        result = (operator === "+") ? result + term : result - term;
+    }
+    
+    // Anything left over means the text wasn't fully understood
+    return (position === input.length) ? result : NaN;
+}
+
 // === JSARGUMENTS PARSING ===
 // Status: ✅ WORKING - Correctly parses jsarguments for text justification
 
@@ -218,21 +824,46 @@ function testJustification(just) {
     mgraphics.redraw();
 }
 
-// Test function to manually set step sizes
-function testStepSizes(normal, fine) {
-    if (normal !== undefined) normalStepSize = normal;
-    if (fine !== undefined) fineStepSize = fine;
-    post("TEST: Step sizes set to normal:", normalStepSize, "fine:", fineStepSize, "\n");
-}
-
 // Initialize justification from jsarguments
 parseJustificationArgs();
 
 // === COLOR AND THEME MANAGEMENT ===
 // Status: ✅ WORKING - Dynamic color system matches Live's LCD theme
 
+// Per-instance colors set with "color <name> r g b [a]", unset names follow the Live theme
+var customColors = {};
+var colorNames = ["bg", "text", "inactivetext", "border", "focus", "cursor", "fill"];
+
+// Set a per-instance color (components 0..1), or send just the name to go back to the theme
+function color(name, r, g, b, a) {
+    if (colorNames.indexOf(name) === -1) {
+        post("color: unknown name", name, "- use", colorNames.join(", "), "\n");
+        return;
+    }
+    if (arguments.length >= 4) {
+        customColors[name] = [r, g, b, (a === undefined) ? 1 : a];
+    } else {
+        delete customColors[name];
+    }
+    mgraphics.redraw();
+}
+
 // Get dynamic colors from Max's color system using live_ prefix names
+// Per-instance colors take precedence over the theme
 function getColor(colorName) {
+    // Convert display names to per-instance color names
+    var customName;
+    switch(colorName) {
+        case "LCD Icon / Text": customName = "text"; break;
+        case "LCD Icon / Text (Inactive)": customName = "inactivetext"; break;
+        case "LCD Background": customName = "bg"; break;
+        case "LCD Frame": customName = "border"; break;
+        case "Edit Cursor": customName = "cursor"; break;
+    }
+    if (customColors[customName]) {
+        return customColors[customName];
+    }
+    
     try {
         // Convert display names to Max theme color names with live_ prefix
         var maxColorName;
@@ -246,6 +877,11 @@ function getColor(colorName) {
             case "LCD Background":
                 maxColorName = "live_lcd_bg";
                 break;
+            case "LCD Frame":
+                maxColorName = "live_lcd_frame";
+                break;
+            case "Edit Cursor":
+                throw new Error("No theme color"); // Live has no caret color, use the red fallback
             default:
                 maxColorName = "live_lcd_control_fg";
                 break;
@@ -269,6 +905,10 @@ function getColor(colorName) {
                 return [0.5, 0.5, 0.5, 1.0]; // Gray
             case "LCD Background":
                 return [0.2, 0.2, 0.2, 1.0]; // Dark gray
+            case "LCD Frame":
+                return [0.5, 0.5, 0.5, 1.0]; // Mid gray
+            case "Edit Cursor":
+                return [1.0, 0.2, 0.2, 1.0]; // Red
             default:
                 return [1.0, 1.0, 1.0, 1.0]; // White fallback
         }
@@ -284,7 +924,7 @@ function active(state) {
     
     // If transitioning from inactive to active, output current value
     if (wasInactive && activeState === 1) {
-        outlet(0, outputValue);
+        sendValue();
     }
     
     mgraphics.redraw(); // Redraw with new colors
@@ -293,10 +933,90 @@ function active(state) {
 // === DISPLAY AND UNIT FORMATTING ===
 // Status: ✅ WORKING - All unit styles display correctly
 
-function updateDisplay() {
+// Format a value with a printf-style string like live.numbox's custom unit style
+// Supports %d/%i (integer), %f (float) with flags (- + space 0), width and precision,
+// %% for a literal percent sign, and any literal text around them: "%0.1f Hz", "%+0.2f st"
+// precisionDrop (optional) removes decimals from %f so the text fits the box
+function formatUnits(format, value, precisionDrop) {
+    return format.replace(/%([-+ 0]*)(\d*)(?:\.(\d+))?([dif%])/g, function(spec, flags, width, precision, conversion) {
+        if (conversion === "%") {
+            return "%";
+        }
+        
+        var digits;
+        if (conversion === "f") {
+            var decimals = (precision !== undefined && precision !== "") ? parseInt(precision, 10) : 6;
+            digits = Math.abs(value).toFixed(Math.max(0, decimals - (precisionDrop || 0)));
+        } else {
+            digits = Math.abs(Math.round(value)).toString();
+        }
+        
+        // Sign: only negative if the formatted number isn't zero (avoids "-0.0")
+        var sign = "";
+        if (value < 0 && parseFloat(digits) !== 0) {
+            sign = "-";
+        } else if (flags.indexOf("+") !== -1) {
+            sign = "+";
+        } else if (flags.indexOf(" ") !== -1) {
+            sign = " ";
+        }
+        
+        // Pad to the requested width
+        var minWidth = width ? parseInt(width, 10) : 0;
+        var text = sign + digits;
+        while (text.length < minWidth) {
+            if (flags.indexOf("-") !== -1) {
+                text += " ";
+            } else if (flags.indexOf("0") !== -1) {
+                digits = "0" + digits;
+                text = sign + digits;
+            } else {
+                text = " " + text;
+            }
+        }
+        return text;
+    });
+}
+
+// Format with 3 significant digits (at most 3 decimals), minus precisionDrop decimals
+function formatSignificant(value, precisionDrop) {
+    var magnitude = (value === 0) ? 0 : Math.floor(Math.log(Math.abs(value)) / Math.LN10);
+    var decimals = Math.max(0, Math.min(3, 2 - magnitude) - precisionDrop);
+    var text = value.toFixed(decimals);
+    
+    // Rounding can carry into the next magnitude (9.996 -> "10.00"), so drop one more decimal
+    if (decimals > 0 && Math.abs(parseFloat(text)) >= Math.pow(10, magnitude + 1)) {
+        text = value.toFixed(decimals - 1);
+    }
+    return text;
+}
+
+// Format a value in a base unit, switching to the x1000 unit at 1000 (ms -> s, Hz -> kHz)
+function formatScaled(value, unit, largeUnit, precisionDrop) {
+    var text = formatSignificant(value, precisionDrop);
+    if (Math.abs(parseFloat(text)) >= 1000) {
+        return formatSignificant(value / 1000, precisionDrop) + " " + largeUnit;
+    }
+    return text + " " + unit;
+}
+
+// Format with a number of decimals, less precisionDrop (never below 0)
+function formatFixed(value, decimals, precisionDrop) {
+    return value.toFixed(Math.max(0, decimals - (precisionDrop || 0)));
+}
+
+// Update displayText/outputValue for the current value
+// precisionDrop (optional) removes decimals so the text fits the box
+function updateDisplay(precisionDrop) {
+    precisionDrop = precisionDrop || 0;
+    
     if (isEditing) {
         displayText = editText;
         outputValue = currentValue;
+    } else if (parameterType === 2) {
+        // Enum - show the current item name, output the item index
+        displayText = getEnumItem(currentValue);
+        outputValue = currentValue;
     } else {
         var unitStyle = getUnitStyle();
         
@@ -306,58 +1026,217 @@ function updateDisplay() {
                 outputValue = currentValue;
                 break;
             case 1: // float - show 2 decimal places
-                displayText = currentValue.toFixed(2);
+                displayText = formatFixed(currentValue, 2, precisionDrop);
                 outputValue = currentValue;
                 break;
-            case 2: // time - show 2 decimal places
-                displayText = currentValue.toFixed(1) + " ms";
-                outputValue = currentValue;
+            case 2: // time - 3 significant digits, ms below 1000 and s above (or note division when synced)
+                if (timeSyncMode) {
+                    displayText = syncDivisions[syncIndex].name;
+                    outputValue = syncDivisionToMs(syncIndex);
+                } else {
+                    displayText = formatScaled(currentValue, "ms", "s", precisionDrop);
+                    outputValue = currentValue;
+                }
                 break;
-            case 3: // hertz - show 1 decimal place with "Hz" suffix
-                displayText = Math.round(currentValue).toString() + " Hz";
+            case 3: // hertz - 3 significant digits, Hz below 1000 and kHz above
+                displayText = formatScaled(currentValue, "Hz", "kHz", precisionDrop);
                 outputValue = currentValue;
                 break;
             case 4: // dB - show "-inf" when <= -80.0, otherwise 1 decimal place with "dB" suffix
                 if (currentValue <= -80.0) {
                     displayText = "-inf";
-                    outputValue = 0.0;
                 } else {
-                    displayText = currentValue.toFixed(1) + " dB";
-                    outputValue = dbtoa(currentValue);
+                    displayText = formatFixed(currentValue, 1, precisionDrop) + " dB";
                 }
+                outputValue = displayToOutput(currentValue);
                 break;
             case 5: // % - show integers with "%" suffix
                 displayText = Math.round(currentValue).toString() + " %";
                 outputValue = currentValue;
                 break;
-            case 6: // Pan - placeholder
-                displayText = currentValue.toFixed(2);
+            case 6: // Pan - "C" at centre, "25L"/"40R" at the sides
+                displayText = formatPan(currentValue);
                 outputValue = currentValue;
                 break;
             case 7: // Semitone - placeholder
-                displayText = currentValue.toFixed(1) + " st";
+                displayText = formatFixed(currentValue, 1, precisionDrop) + " st";
                 outputValue = currentValue;
                 break;
-            case 8: // MIDI Note - placeholder
-                displayText = Math.round(currentValue).toString();
+            case 8: // MIDI Note - note names like "C3", "F#-1", "G8"
+                displayText = formatNoteName(currentValue);
                 outputValue = currentValue;
                 break;
-            case 9: // Custom - placeholder
-                displayText = currentValue.toFixed(2);
+            case 9: // Custom - printf-style format from _parameter_units
+                var customUnits = getCustomUnits();
+                displayText = customUnits ? formatUnits(customUnits, currentValue, precisionDrop) : formatFixed(currentValue, 2, precisionDrop);
                 outputValue = currentValue;
                 break;
             case 10: // Native (Type) - placeholder
-                displayText = currentValue.toFixed(2);
+                displayText = formatFixed(currentValue, 2, precisionDrop);
                 outputValue = currentValue;
                 break;
             default: // Default formatting - 1 decimal place, no suffix
-                displayText = currentValue.toFixed(1);
+                displayText = formatFixed(currentValue, 1, precisionDrop);
                 outputValue = currentValue;
                 break;
         }
     }
 }
 
+// Send the current output value on outlet 0
+// Enum values are followed by the item symbol when outputsymbol is enabled,
+// synced time sends the division index and its length in ms,
+// float values ramp towards the new value when a ramp time is set
+function sendValue() {
+    // Modulation offsets the output only - currentValue and pattr keep the base value
+    var value = getModulatedValue();
+    
+    // A ramp sends both outlets from rampTick, starting from the last output value
+    if (parameterType === 0 && !isTimeSynced() && getRampTime() > 0 && rampValue !== null) {
+        startRamp(value);
+        return;
+    }
+    stopRamp();
+    
+    // Right-to-left like Max objects: outlet 2 fires before outlet 0
+    if (normalizedOutput) {
+        outlet(2, getNormalizedOutput(value));
+    }
+    
+    if (parameterType === 2 && enumSymbolOutput) {
+        outlet(0, [outputValue, getEnumItem(currentValue)]);
+    } else if (isTimeSynced()) {
+        // Synced time: division index followed by its length in ms
+        outlet(0, [syncIndex, outputValue]);
+    } else {
+        rampValue = value;
+        outlet(0, displayToOutput(value));
+    }
+}
+
+// === MODULATION ===
+// Status: 🔍 TBTC - Honors _parameter_modmode (0 none, 1 bipolar, 2 unipolar) and _parameter_modrange
+// The modulation amount moves the normalized position: bipolar -1..1, unipolar 0..1
+
+function getModulationMode() {
+    return box.getattr("_parameter_modmode") || 0;
+}
+
+// Set the modulation amount and output the modulated value
+function modulate(amount) {
+    var mode = getModulationMode();
+    if (mode === 1) {
+        modulationAmount = Math.max(-1, Math.min(1, amount));
+    } else if (mode === 2) {
+        modulationAmount = Math.max(0, Math.min(1, amount));
+    } else {
+        modulationAmount = 0; // Modulation disabled
+    }
+    mgraphics.redraw();
+    
+    // Only output if active
+    if (activeState) {
+        sendValue();
+    }
+}
+
+var defaultModRange = [0, 127]; // Max's default _parameter_modrange, treated as "not set"
+
+// True when _parameter_modrange was changed from the default and overlaps the parameter range
+function isModRangeSet(modRange) {
+    if (!modRange || modRange.length < 2) {
+        return false;
+    }
+    if (modRange[0] === defaultModRange[0] && modRange[1] === defaultModRange[1]) {
+        return false;
+    }
+    return Math.min(modRange[0], modRange[1]) <= Math.max(minValue, maxValue) &&
+        Math.max(modRange[0], modRange[1]) >= Math.min(minValue, maxValue);
+}
+
+// Output value after modulation (the base value when there is none), clamped to _parameter_modrange
+function getModulatedValue() {
+    if (modulationAmount === 0 || getModulationMode() === 0 || parameterType === 2) {
+        return currentValue;
+    }
+    
+    // normalizedToValue keeps the result inside minValue..maxValue
+    var value = normalizedToValue(valueToNormalized(currentValue) + modulationAmount);
+    var modRange = box.getattr("_parameter_modrange");
+    if (isModRangeSet(modRange)) {
+        var low = Math.max(Math.min(modRange[0], modRange[1]), Math.min(minValue, maxValue));
+        var high = Math.min(Math.max(modRange[0], modRange[1]), Math.max(minValue, maxValue));
+        value = Math.max(low, Math.min(high, value));
+    }
+    // Only values the parameter can hold: _parameter_steps positions, whole numbers for int
+    if (parameterSteps > 1) {
+        value = normalizedToValue(quantizeNormalized(valueToNormalized(value)));
+    }
+    if (parameterType === 1) {
+        value = Math.round(value);
+    }
+    return value;
+}
+
+// === OUTPUT RAMP ===
+// Status: 🔍 TBTC - Smooths outlet 0 for float values to avoid zipper noise on jumps
+// The ramp runs in the displayed unit (dB for the dB style) so amplitude fades sound even,
+// and reaches its target after the ramp time no matter how far it has to go
+
+// Ramp time in ms: the ramp setting, or _parameter_speedlim when no ramp time is set
+function getRampTime() {
+    if (rampTime > 0) {
+        return rampTime;
+    }
+    var speedlim = box.getattr("_parameter_speedlim");
+    return (speedlim > 1) ? speedlim : 0; // The default speedlim of 1 ms means no ramp
+}
+
+// Set the output ramp time in ms (0 = use _parameter_speedlim, or output immediately)
+function ramp(ms) {
+    rampTime = Math.max(0, ms);
+}
+
+// Start (or retarget) the ramp from the last output value towards target
+function startRamp(target) {
+    rampTarget = target;
+    rampIncrement = (rampTarget - rampValue) / Math.max(1, getRampTime() / rampInterval);
+    if (!rampRunning) {
+        rampRunning = true;
+        rampTask.interval = rampInterval;
+        rampTask.repeat();
+    }
+}
+
+function rampTick() {
+    if (!activeState) {
+        stopRamp();
+        return;
+    }
+    
+    rampValue += rampIncrement;
+    if ((rampIncrement >= 0 && rampValue >= rampTarget) || (rampIncrement < 0 && rampValue <= rampTarget)) {
+        rampValue = rampTarget;
+        stopRamp();
+    }
+    if (normalizedOutput) {
+        outlet(2, valueToNormalized(rampValue));
+    }
+    outlet(0, displayToOutput(rampValue));
+}
+
+function stopRamp() {
+    if (rampRunning) {
+        rampTask.cancel();
+        rampRunning = false;
+    }
+}
+
+// Freeze the output ramp where it is
+function stop() {
+    stopRamp();
+}
+
 // Initialize parameter type, range and initial value from inspector
 // NOTE: Commented out immediate initialization - now handled by initializeObject message
 // updateParameterType();
@@ -370,16 +1249,28 @@ function updateDisplay() {
 // Single handler for all attribute changes
 function handleAttributeChange(data) {
     // Removed debug spam - only handle the actual changes
+    if (restoringState) {
+        return; // applyStateRecord reads everything back once it has set all attributes
+    }
     switch(data.attrname) {
         case "_parameter_type":
             updateParameterType();
+            updateRange(); // Range meaning depends on the type
+            updateDisplay();
             break;
         case "_parameter_unitstyle":
+        case "_parameter_units":
             updateDisplay();
             break;
         case "_parameter_range":
             updateRange();
             break;
+        case "_parameter_exponent":
+            updateExponent();
+            break;
+        case "_parameter_steps":
+            updateSteps();
+            break;
         case "_parameter_initial_enable":
         case "_parameter_initial":
             updateInitialValue();
@@ -394,7 +1285,10 @@ function handleAttributeChange(data) {
 // Set up attribute listeners for inspector changes
 var parameterTypeListener = new MaxobjListener(box, "_parameter_type", handleAttributeChange);
 var unitStyleListener = new MaxobjListener(box, "_parameter_unitstyle", handleAttributeChange);
+var unitsListener = new MaxobjListener(box, "_parameter_units", handleAttributeChange);
 var rangeListener = new MaxobjListener(box, "_parameter_range", handleAttributeChange);
+var exponentListener = new MaxobjListener(box, "_parameter_exponent", handleAttributeChange);
+var stepsListener = new MaxobjListener(box, "_parameter_steps", handleAttributeChange);
 var initialEnableListener = new MaxobjListener(box, "_parameter_initial_enable", handleAttributeChange);
 var initialValueListener = new MaxobjListener(box, "_parameter_initial", handleAttributeChange);
 var jsArgumentsListener = new MaxobjListener(box, "jsarguments", handleAttributeChange);
@@ -407,6 +1301,11 @@ var isDragging = false;
 var dragStartY = 0;
 var dragStartValue = 0;
 var lastDragY = 0;
+var dragStartX = 0;
+var lastDragX = 0;
+var dragAccumulator = 0; // Drag motion (pixels) not yet turned into an enum step
+var dragValue = 0;       // Unquantized drag position; int values commit whole steps from it
+var lastDragTime = 0;    // Time of the last drag event (ms) for velocity acceleration
 var cursorOrigin = [0, 0];
 
 // Edit state
@@ -415,16 +1314,66 @@ var editText = "";
 var hasFocus = false;
 var showCursor = true;
 var cursorTimer = new Task(toggleCursor, this);
+var caretPosition = 0;   // Caret index in editText
+var selectionAnchor = 0; // Other end of the selection (equal to caretPosition when nothing is selected)
+var caretOffsets = [0];  // x position of each caret index, measured with text_measure in paint()
+var showError = false; // Error flash after rejected typed input
+var errorTimer = new Task(clearError, this);
 
 var clickedInside = false;
 
+// Undo/redo state (user gestures only - incoming messages and pattr are not recorded)
+var undoStack = [];
+var redoStack = [];
+var undoLimit = 50;        // Maximum number of undo entries kept per instance
+var dragUndoState = null;  // Value at onclick, recorded as one entry when the drag ends
+var modifierKeys = 0;      // Modifier bitmask from [key]: 1 shift, 2 caps lock, 4 option, 8 ctrl, 16 cmd
+
+// Value clipboard shared by all numbox instances
+var clipboard = new Global("rob_numbox_clipboard");
+
 // === MESSAGE HANDLING ===
 // Status: ✅ WORKING - Input messages work correctly, notifyclients() called appropriately
 
 function msg_float(x) {
     updateRange(); // Ensure we have latest range values
+    updateSteps(); // Ensure we have latest step quantization
     updateInitialValue(); // Ensure we have latest initial value
-    currentValue = Math.max(minValue, Math.min(maxValue, x));
+    currentValue = constrainValue(x);
+    updateDisplay();
+    mgraphics.redraw();
+    
+    // Notify pattr/Live that our value changed
+    notifyclients();
+    
+    // Only output if active
+    if (activeState) {
+        sendValue();
+    }
+}
+
+// Set the value without output or notifyclients (like [prepend set] on a numbox)
+function set(x) {
+    updateRange();
+    updateSteps();
+    currentValue = constrainValue(x);
+    updateDisplay();
+    mgraphics.redraw();
+}
+
+// Re-send the current value
+function bang() {
+    // Only output if active
+    if (activeState) {
+        sendValue();
+    }
+}
+
+// Jump to the initial value (same as double-click, but from a message)
+function init() {
+    updateRange();
+    updateInitialValue();
+    currentValue = constrainValue(initialValue);
     updateDisplay();
     mgraphics.redraw();
     
@@ -433,10 +1382,79 @@ function msg_float(x) {
     
     // Only output if active
     if (activeState) {
-        outlet(0, outputValue);
+        sendValue();
+    }
+}
+
+// Set the range: "range <min> <max>", or "range <item> <item> ..." for enum
+// The range overrides _parameter_range without changing it (Max for Live doesn't allow
+// parameter attribute changes at runtime); "range" on its own goes back to _parameter_range
+function range() {
+    var values = arrayfromargs(arguments);
+    updateParameterType();
+    
+    if (values.length === 0) {
+        rangeOverride = null;
+    } else if (parameterType === 2) {
+        rangeOverride = values;
+    } else if (values.length >= 2) {
+        rangeOverride = [values[0], values[1]];
+    } else {
+        post("range needs a min and a max\n");
+        return;
+    }
+    applyRangeChange();
+}
+
+// Handle messages that can't be plain functions: "min" and "max"
+// (a function called max would replace Max's global max object used for colors and the cursor)
+function anything() {
+    var args = arrayfromargs(arguments);
+    
+    switch (messagename) {
+        case "min":
+        case "max":
+            updateRange();
+            if (parameterType === 2 || args.length < 1) {
+                post(messagename, "needs a number and doesn't apply to enum\n");
+                return;
+            }
+            if (messagename === "min") {
+                rangeOverride = [args[0], maxValue];
+            } else {
+                rangeOverride = [minValue, args[0]];
+            }
+            applyRangeChange();
+            break;
+        default:
+            post("doesn't understand", messagename, "\n");
+            break;
     }
 }
 
+// Re-read the range after a range message changed it
+function applyRangeChange() {
+    updateRange();
+    updateDisplay();
+    mgraphics.redraw();
+}
+
+// Output the full state as one labelled list on outlet 1 (use [route dump] to separate it
+// from the mousestate bang): dump value <v> range <min> <max> unitstyle <n> justification <j>
+// active <0/1> initial <v>
+function dump() {
+    updateRange();
+    updateInitialValue();
+    outlet(1, ["dump",
+        "value", currentValue,
+        "range", minValue, maxValue,
+        "unitstyle", getUnitStyle(),
+        "justification", textJustification,
+        "active", activeState,
+        "initial", initialValue
+    ]);
+}
+
 // Called when object is being deleted - cleanup only
 function notifydeleted() {
     // Cleanup code would go here if needed
@@ -454,14 +1472,30 @@ function onclick(x, y, button, cmd, shift, capslock, option, ctrl) {
     hasFocus = true;
     mgraphics.redraw(); // Redraw to show focus box
     
+    // While editing, clicks position the caret (shift extends the selection) instead of dragging
+    if (isEditing) {
+        moveCaret(caretIndexAt(x), shift);
+        showCursor = true;
+        mgraphics.redraw();
+        return;
+    }
+    
     // Start dragging
     isDragging = true;
     dragStartY = y;
     lastDragY = y;
+    dragStartX = x;
+    lastDragX = x;
     dragStartValue = currentValue;
+    dragAccumulator = 0;
+    dragValue = currentValue;
+    lastDragTime = new Date().getTime();
+    dragUndoState = captureUndoState(); // Whole gesture becomes one undo entry
     
-    // Update range and initial values for dragging
+    // Update range, curve and initial values for dragging
     updateRange();
+    updateExponent();
+    updateSteps();
     updateInitialValue();
     
     // Output bang on second outlet to poll mousestate for global cursor position
@@ -469,23 +1503,39 @@ function onclick(x, y, button, cmd, shift, capslock, option, ctrl) {
 }
 
 function ondblclick(x, y, button, cmd, shift, capslock, option, ctrl) {
+    // While editing, double-click selects all text instead of resetting
+    if (isEditing) {
+        selectionAnchor = 0;
+        moveCaret(editText.length, true);
+        mgraphics.redraw();
+        return;
+    }
+    
     // Update initial value in case inspector changed
     updateInitialValue();
+    var undoState = captureUndoState();
     
-    // Reset to initial value
-    currentValue = initialValue;
-    
-    // Update display and redraw
-    updateDisplay();
-    mgraphics.redraw();
-    
-    // Notify pattr/Live that our value changed (user double-clicked to reset)
-    notifyclients();
-    
-    // Only output if active
-    if (activeState) {
-        outlet(0, outputValue);
+    if (isTimeSynced()) {
+        // Synced time resets to the default note division instead
+        setSyncDivision(defaultSyncIndex);
+    } else {
+        // Reset to initial value
+        currentValue = constrainValue(initialValue);
+        
+        // Update display and redraw
+        updateDisplay();
+        mgraphics.redraw();
+        
+        // Notify pattr/Live that our value changed (user double-clicked to reset)
+        notifyclients();
+        
+        // Only output if active
+        if (activeState) {
+            sendValue();
+        }
     }
+    
+    recordUndo(undoState);
 }
 
 function ondrag(x, y, button, cmd, shift, capslock, option, ctrl) {
@@ -494,24 +1544,51 @@ function ondrag(x, y, button, cmd, shift, capslock, option, ctrl) {
         max.hidecursor();
 
         //issue with user dragging cursor off screen, halting parameter changes, should be fixed now
-        if (Math.abs(lastDragY) > 30) {
+        // Measured from the click point (not the box top) so tall boxes drag from anywhere inside
+        var resetDistance = 30 * getLayoutScale(this.box.rect[3] - this.box.rect[1]);
+        if (Math.abs(lastDragY - dragStartY) > resetDistance || (dragDirection !== 0 && Math.abs(lastDragX - dragStartX) > resetDistance)) {
             //reset cursor position before it reaches screen boundary to allow parameter value to advance further
             max.pupdate(cursorOrigin[0], cursorOrigin[1]);
-            lastDragY = y;
-            deltaY = 0;
+            // The cursor is back at the click point, so the next motion is measured from there
+            lastDragY = dragStartY;
+            lastDragX = dragStartX;
             return;
-        } else {
-            // Calculate incremental delta from last position
-            var deltaY = lastDragY - y;
-            //post("deltaY:", deltaY);
         }
         
-        // Fine adjustment with shift, normal step size otherwise
-        var stepSize = shift ? fineStepSize : normalStepSize;
-        var newValue = currentValue + (deltaY * stepSize);
+        // Calculate incremental delta from last position (up and right increase the value)
+        var deltaY = lastDragY - y;
+        var deltaX = x - lastDragX;
+        var delta = (dragDirection === 1) ? deltaX : (dragDirection === 2) ? deltaY + deltaX : deltaY;
+        //post("delta:", delta);
+        
+        var newValue = currentValue;
+        if (isTimeSynced()) {
+            // Synced time: step through note divisions (the free time value is left alone)
+            setSyncDivision(syncIndex + accumulateItemSteps(delta));
+        } else if (parameterType === 2) {
+            // Enum: step one item at a time
+            newValue = currentValue + accumulateItemSteps(delta);
+        } else {
+            // A full sweep takes dragPixels, optional velocity acceleration
+            var step = (delta / dragPixels) * getDragAcceleration(delta);
+            if (cmd || ctrl) {
+                step *= coarseDragScale; // Coarse adjustment with cmd/ctrl
+            } else if (shift) {
+                step *= fineDragScale;   // Fine adjustment with shift
+            }
+            
+            // Move the hidden drag value along the normalized position so the exponent curve
+            // is honoured; sub-step motion accumulates there until it reaches the next int
+            // value or _parameter_steps position, so slow drags still get there
+            // (kept inside the soft range so overshoot doesn't build up past it)
+            dragValue = limitToSoftRange(stepNormalized(dragValue, step), currentValue);
+            
+            // Option+drag snaps to whole units
+            newValue = option ? Math.round(dragValue) : dragValue;
+        }
         
-        // Clamp to min/max
-        newValue = Math.max(minValue, Math.min(maxValue, newValue));
+        // Clamp to the soft range, then to min/max
+        newValue = constrainValue(limitToSoftRange(newValue, currentValue));
         
         if (newValue !== currentValue) {
             currentValue = newValue;
@@ -523,12 +1600,13 @@ function ondrag(x, y, button, cmd, shift, capslock, option, ctrl) {
             
             // Only output if active
             if (activeState) {
-                outlet(0, outputValue);
+                sendValue();
             }
         }
         
-        // Always update lastDragY to prevent deltaY accumulation
+        // Always update last position to prevent delta accumulation
         lastDragY = y;
+        lastDragX = x;
         //post("lastDragY:", lastDragY);
         
         // Keep cursor locked (mousestate provides global coords)
@@ -537,11 +1615,54 @@ function ondrag(x, y, button, cmd, shift, capslock, option, ctrl) {
             max.pupdate(cursorOrigin[0], cursorOrigin[1]);
             max.showcursor();
             isDragging = false;
+            recordUndo(dragUndoState);
         }
         //post("ondrag - isDragging:", isDragging);
     }
 }
 
+// Velocity multiplier for a drag movement (1 when acceleration is off or the mouse moves slowly)
+function getDragAcceleration(deltaY) {
+    var now = new Date().getTime();
+    var elapsed = Math.max(1, now - lastDragTime);
+    lastDragTime = now;
+    
+    if (dragAcceleration <= 0) {
+        return 1;
+    }
+    var velocity = Math.abs(deltaY) / elapsed; // pixels per ms
+    return Math.min(maxDragAcceleration, 1 + dragAcceleration * velocity);
+}
+
+// Set the drag distance (pixels) for a full sweep of the range
+function dragsensitivity(pixels) {
+    if (pixels > 0) {
+        dragPixels = pixels;
+    }
+}
+
+// Set the drag direction: 0/vertical, 1/horizontal or 2/both
+function dragdirection(mode) {
+    if (mode === "vertical") mode = 0;
+    if (mode === "horizontal") mode = 1;
+    if (mode === "both") mode = 2;
+    dragDirection = Math.max(0, Math.min(2, Math.round(mode))) || 0;
+}
+
+// Set the velocity acceleration amount for dragging (0 = off)
+function acceleration(amount) {
+    dragAcceleration = Math.max(0, amount);
+}
+
+// Add drag motion to the item accumulator and return the whole items to step (enum, synced time)
+function accumulateItemSteps(deltaY) {
+    dragAccumulator += deltaY;
+    var itemSteps = (dragAccumulator > 0) ? Math.floor(dragAccumulator / enumDragPixels)
+                                          : Math.ceil(dragAccumulator / enumDragPixels);
+    dragAccumulator -= itemSteps * enumDragPixels;
+    return itemSteps;
+}
+
 // Combined function to handle global mouse events
 function globalMouse(leftClick, globalX, globalY) {
     
@@ -569,12 +1690,19 @@ function globalMouse(leftClick, globalX, globalY) {
     }
 }
 
+// Mouse moving over the box: show the full text of a shortened value in the hint
+function onidle(x, y) {
+    showOverflowHint(1);
+}
+
 function onidleout(x, y) {
     // Stop dragging when mouse leaves and restore cursor
     if (isDragging) {
         isDragging = false;
         max.showcursor();
+        recordUndo(dragUndoState);
     }
+    showOverflowHint(0);
     // DON'T lose focus when mouse leaves - maintain focus like live.objects
     // Focus will only be lost when a click occurs outside this object
 }
@@ -591,25 +1719,52 @@ function keyInput(c) {
     
     var charCode = c;
     
-    // Handle arrow keys for value adjustment (Max key codes: 30=up, 31=down)
+    // Cmd/ctrl shortcuts never go into the edit text
+    if (modifierKeys & (8 | 16)) {
+        handleShortcut(charCode);
+        return;
+    }
+    
+    // Handle value keys (Max key codes: 30=up, 31=down, 11=page up, 12=page down, 1=home, 4=end)
+    // Home/End move the caret while editing, so they only jump to min/max outside edit mode
     var isArrowKey = charCode === 30 ||   // Up arrow
                      charCode === 31;     // Down arrow
+    var isPageKey = charCode === 11 ||    // Page up
+                    charCode === 12;      // Page down
+    var isJumpKey = !isEditing && (charCode === 1 || charCode === 4); // Home / End
     
-    if (isArrowKey) {
+    if (isArrowKey || isPageKey || isJumpKey) {
         // Exit edit mode if currently editing
         if (isEditing) {
             commitEdit();
         }
+        var undoState = captureUndoState();
         
-        // Determine step direction and size
-        var isUpArrow = (charCode === 30);
-        var step = isUpArrow ? normalStepSize : -normalStepSize;
-        
-        // Update range to ensure we have current min/max values
+        // Update range and curve to ensure we have current mapping values
         updateRange();
+        updateExponent();
+        updateSteps();
+        
+        // Determine step direction and size (shift+arrow = fine step)
+        var direction = (charCode === 30 || charCode === 11) ? 1 : -1;
+        var fine = (modifierKeys & 1) !== 0;
+        var newValue = currentValue;
+        if (isTimeSynced()) {
+            // Synced time: note divisions instead of the value
+            if (isJumpKey) {
+                setSyncDivision(charCode === 1 ? 0 : syncDivisions.length - 1);
+            } else {
+                setSyncDivision(syncIndex + direction * (isPageKey ? getPageItems(syncDivisions.length) : 1));
+            }
+        } else if (isJumpKey) {
+            // Home/End: jump to min/max (the soft range ends when one is set)
+            newValue = (charCode === 1) ? minValue : maxValue;
+        } else {
+            newValue = getKeyStepValue(direction, isPageKey, fine);
+        }
         
-        // Calculate new value and clamp to range
-        var newValue = Math.max(minValue, Math.min(maxValue, currentValue + step));
+        // Clamp to the soft range, then to the range
+        newValue = constrainValue(limitToSoftRange(newValue, currentValue));
         
         if (newValue !== currentValue) {
             currentValue = newValue;
@@ -621,66 +1776,204 @@ function keyInput(c) {
             
             // Only output if active
             if (activeState) {
-                outlet(0, outputValue);
+                sendValue();
             }
         }
-        return; // Arrow key handled, don't process further
+        recordUndo(undoState);
+        return; // Value key handled, don't process further
     }
     
-    // Filter: only accept number keys (0-9), decimal point, minus sign, backspace, enter, escape
-    var isValidChar = (charCode >= 48 && charCode <= 57) || // 0-9
-                      charCode === 46 ||  // decimal point
-                      charCode === 45 ||  // minus sign
-                      charCode === 127 || // backspace
-                      charCode === 13 ||  // enter
-                      charCode === 3 ||   // numpad enter
-                      charCode === 27;    // escape
+    // Characters that go into the edit text: any printable ASCII, since item names, note names,
+    // unit suffixes ("2 kHz", "-6dB") and arithmetic ("440*2") are all valid input.
+    // The text is validated when it is committed (see parseEditText)
+    var isTextChar = charCode >= 32 && charCode <= 126;
+    
+    // Filter: only accept text characters, editing keys, enter, escape
+    var isValidChar = isTextChar ||
+                      charCode === 127 ||   // backspace
+                      charCode === 63272 || // forward delete (macOS delete function key)
+                      charCode === 28 ||    // left arrow
+                      charCode === 29 ||    // right arrow
+                      charCode === 1 ||     // home
+                      charCode === 4 ||     // end
+                      charCode === 13 ||    // enter
+                      charCode === 3 ||     // numpad enter
+                      charCode === 27;      // escape
     
     if (!isValidChar) {
         return; // Ignore invalid keys
     }
     
-    // Handle number keys, decimal point, and minus sign
-    if ((charCode >= 48 && charCode <= 57) || charCode === 46 || charCode === 45) {
+    // Handle text characters
+    if (isTextChar) {
         if (!isEditing) {
-            // Enter edit mode and start with the typed character
-            isEditing = true;
-            editText = String.fromCharCode(charCode);
-            showCursor = true;
-            cursorTimer.schedule(500); // Start cursor blinking
-            updateDisplay();
-            mgraphics.redraw();
-        } else {
-            // Add character to edit text
-            editText += String.fromCharCode(charCode);
-            updateDisplay();
-            mgraphics.redraw();
+            // Enter edit mode with the existing value selected, so the typed character replaces it
+            beginEdit();
         }
+        insertEditText(String.fromCharCode(charCode));
+        return;
+    }
+    
+    // Enter starts editing the existing value (fully selected)
+    if (!isEditing && (charCode === 13 || charCode === 3)) {
+        beginEdit();
+        return;
     }
     
     // Handle special keys when in edit mode
     if (isEditing) {
+        var extendSelection = (modifierKeys & 1) !== 0; // Shift extends the selection
+        
         if (charCode === 127) { // Backspace
-            if (editText.length > 0) {
-                editText = editText.slice(0, -1);
-                updateDisplay();
-                mgraphics.redraw();
+            if (!deleteSelection() && caretPosition > 0) {
+                editText = editText.slice(0, caretPosition - 1) + editText.slice(caretPosition);
+                moveCaret(caretPosition - 1, false);
+            }
+        } else if (charCode === 63272) { // Forward delete
+            if (!deleteSelection() && caretPosition < editText.length) {
+                editText = editText.slice(0, caretPosition) + editText.slice(caretPosition + 1);
+            }
+        } else if (charCode === 28) { // Left arrow: collapse selection to its start, else step back
+            if (hasSelection() && !extendSelection) {
+                moveCaret(Math.min(selectionAnchor, caretPosition), false);
+            } else {
+                moveCaret(caretPosition - 1, extendSelection);
+            }
+        } else if (charCode === 29) { // Right arrow: collapse selection to its end, else step forward
+            if (hasSelection() && !extendSelection) {
+                moveCaret(Math.max(selectionAnchor, caretPosition), false);
+            } else {
+                moveCaret(caretPosition + 1, extendSelection);
             }
+        } else if (charCode === 1) { // Home
+            moveCaret(0, extendSelection);
+        } else if (charCode === 4) { // End
+            moveCaret(editText.length, extendSelection);
         } else if (charCode === 13 || charCode === 3) { // Enter or numpad enter
             commitEdit();
+            return;
         } else if (charCode === 27) { // Escape
             cancelEdit();
+            return;
+        }
+        
+        // Keep the caret visible while it moves
+        showCursor = true;
+        updateDisplay();
+        mgraphics.redraw();
+    }
+}
+
+// Value after a keyboard step: direction is +1/-1, page jumps by pageStepSize of the range,
+// fine (shift+arrow) uses fineDragScale of the arrow step for continuous values
+function getKeyStepValue(direction, page, fine) {
+    if (parameterType === 2) {
+        // Enum: one item per press (page: 10% of the items, at least one)
+        return currentValue + direction * (page ? getPageItems(enumItems.length) : 1);
+    }
+    if (parameterSteps > 1) {
+        // Stepped: one quantization step per press (page: 10% of the steps, at least one)
+        var stepCount = page ? getPageItems(parameterSteps - 1) : 1;
+        return stepNormalized(currentValue, direction * stepCount / (parameterSteps - 1));
+    }
+    if (parameterType === 1) {
+        // Int: one whole step per press (page: 10% of the range, at least one)
+        return currentValue + direction * (page ? getPageItems(Math.abs(maxValue - minValue)) : 1);
+    }
+    
+    var step = page ? pageStepSize : keyStepSize;
+    if (fine) {
+        step *= fineDragScale;
+    }
+    return stepNormalized(currentValue, direction * step);
+}
+
+// Number of items/steps a page key moves through (10% of the count, at least one)
+function getPageItems(count) {
+    return Math.max(1, Math.round(count * pageStepSize));
+}
+
+// === TEXT EDITING ===
+// Status: 🔍 TBTC - Caret and selection handling for edit mode
+// The selection runs from selectionAnchor to caretPosition (empty when they are equal)
+
+// Enter edit mode with the existing value as text, fully selected
+function beginEdit() {
+    isEditing = true;
+    editText = getValueText();
+    selectionAnchor = 0;
+    caretPosition = editText.length;
+    showCursor = true;
+    cursorTimer.cancel();
+    cursorTimer.schedule(500); // Start cursor blinking
+    updateDisplay();
+    mgraphics.redraw();
+}
+
+function hasSelection() {
+    return selectionAnchor !== caretPosition;
+}
+
+// Move the caret, optionally extending the selection from its anchor
+function moveCaret(position, extendSelection) {
+    caretPosition = Math.max(0, Math.min(editText.length, position));
+    if (!extendSelection) {
+        selectionAnchor = caretPosition;
+    }
+}
+
+// Remove the selected text, returns true if there was a selection
+function deleteSelection() {
+    if (!hasSelection()) {
+        return false;
+    }
+    var start = Math.min(selectionAnchor, caretPosition);
+    var end = Math.max(selectionAnchor, caretPosition);
+    editText = editText.slice(0, start) + editText.slice(end);
+    moveCaret(start, false);
+    return true;
+}
+
+// Insert text at the caret, replacing any selection
+function insertEditText(text) {
+    deleteSelection();
+    editText = editText.slice(0, caretPosition) + text + editText.slice(caretPosition);
+    moveCaret(caretPosition + text.length, false);
+    showCursor = true;
+    updateDisplay();
+    mgraphics.redraw();
+}
+
+// Selected text, or all of it when nothing is selected
+function getSelectedEditText() {
+    if (!hasSelection()) {
+        return editText;
+    }
+    return editText.slice(Math.min(selectionAnchor, caretPosition), Math.max(selectionAnchor, caretPosition));
+}
+
+// Caret index closest to an x position, using the offsets measured in paint()
+function caretIndexAt(x) {
+    var closest = 0;
+    for (var i = 1; i < caretOffsets.length; i++) {
+        if (Math.abs(caretOffsets[i] - x) < Math.abs(caretOffsets[closest] - x)) {
+            closest = i;
         }
     }
+    return closest;
 }
 
 // Commit the edited value
 function commitEdit() {
     if (isEditing) {
         cursorTimer.cancel(); // Stop cursor blinking
-        var newValue = parseFloat(editText);
-        if (!isNaN(newValue)) {
-            newValue = Math.max(minValue, Math.min(maxValue, newValue));
+        var undoState = captureUndoState();
+        var newValue = parseEditText(editText);
+        if (!isNaN(newValue) && isTimeSynced()) {
+            // Synced time: the typed text picked a note division
+            setSyncDivision(newValue);
+        } else if (!isNaN(newValue)) {
+            newValue = constrainValue(newValue);
             currentValue = newValue;
             updateDisplay();
             
@@ -689,13 +1982,52 @@ function commitEdit() {
             
             // Only output if active
             if (activeState) {
-                outlet(0, outputValue);
+                sendValue();
             }
+        } else if (editText.length > 0) {
+            // Let the user know the typed text was rejected
+            flashError();
         }
         isEditing = false;
         updateDisplay();
         mgraphics.redraw();
+        recordUndo(undoState);
+    }
+}
+
+// Convert typed text to a value (NaN when the text can't be used)
+function parseEditText(text) {
+    // Synced time matches note division names ("1/8", "1/16T")
+    if (isTimeSynced()) {
+        return findSyncDivision(text);
+    }
+    // Enum matches item names by prefix
+    if (parameterType === 2) {
+        return findEnumIndex(text);
     }
+    // Pan accepts "30L", "r12", "c" and plain numbers in -50..50 display units
+    if (getUnitStyle() === 6) {
+        return parsePan(text);
+    }
+    // MIDI note accepts note names like "d#4" or "Bb2" as well as note numbers
+    if (getUnitStyle() === 8) {
+        return parseNoteName(text);
+    }
+    // Everything else is parsed as a number with optional unit suffix and arithmetic
+    return parseTypedValue(text);
+}
+
+// Briefly show the error state (red border) after rejected input
+function flashError() {
+    showError = true;
+    errorTimer.cancel();
+    errorTimer.schedule(400);
+    mgraphics.redraw();
+}
+
+function clearError() {
+    showError = false;
+    mgraphics.redraw();
 }
 
 // Cancel editing and revert
@@ -717,39 +2049,288 @@ function toggleCursor() {
     }
 }
 
-// === SIZING AND LAYOUT ===
-// Status: ✅ WORKING - Size constraints match live.numbox
+// === UNDO/REDO AND CLIPBOARD ===
+// Status: 🔍 TBTC - Per-instance bounded history of user changes, shared value clipboard
 
-// Enforce minimum dimensions like live.numbox
-function onresize(width, height) {
-    var fixedHeight = 15; // Fixed height like live.numbox
-    var minWidth = 25; // Minimum width to ensure readability
-    var needsResize = false;
+// Store modifier keys from [key]'s modifier outlet (arrives before the key itself)
+function keyModifiers(mask) {
+    modifierKeys = mask;
+}
+
+// Handle cmd/ctrl key shortcuts: z undo, shift+z or y redo, c copy, v paste
+function handleShortcut(charCode) {
+    var key = String.fromCharCode(charCode).toLowerCase();
     
-    // Lock height to exactly 15 pixels
-    if (height !== fixedHeight) {
-        height = fixedHeight;
-        needsResize = true;
+    if (key === "z") {
+        if (modifierKeys & 1) {
+            redo();
+        } else {
+            undo();
+        }
+    } else if (key === "y") {
+        redo();
+    } else if (key === "c") {
+        copy();
+    } else if (key === "v") {
+        paste();
     }
-    
-    if (width < minWidth) {
-        width = minWidth;
-        needsResize = true;
+}
+
+// Snapshot of everything a user gesture can change
+function captureUndoState() {
+    return { value: currentValue, division: syncIndex };
+}
+
+// Push the state from before a gesture, if the gesture changed anything
+function recordUndo(state) {
+    if (!state || (state.value === currentValue && state.division === syncIndex)) {
+        return;
     }
+    undoStack.push(state);
+    if (undoStack.length > undoLimit) {
+        undoStack.shift();
+    }
+    redoStack = []; // A new change invalidates the redo history
+}
+
+// Apply a state from the history and output it like any other user change
+function applyUndoState(state) {
+    currentValue = constrainValue(state.value);
+    syncIndex = state.division;
+    updateDisplay();
+    mgraphics.redraw();
+    
+    // Notify pattr/Live that our value changed (user undo/redo)
+    notifyclients();
     
-    if (needsResize) {
-        // Update the object's size to enforce constraints
-        //box.setattr("patching_rect", [box.rect[0], box.rect[1], width, height]);
-        //bypass this for now to test if it works without it
+    // Only output if active
+    if (activeState) {
+        sendValue();
+    }
+}
+
+function undo() {
+    if (isEditing) {
+        cancelEdit();
+    }
+    if (undoStack.length > 0) {
+        redoStack.push(captureUndoState());
+        applyUndoState(undoStack.pop());
+    }
+}
+
+function redo() {
+    if (isEditing) {
+        cancelEdit();
+    }
+    if (redoStack.length > 0) {
+        undoStack.push(captureUndoState());
+        applyUndoState(redoStack.pop());
+    }
+}
+
+// Current value as text that parseEditText reads back exactly
+function getValueText() {
+    if (isTimeSynced() || parameterType === 2 || getUnitStyle() === 6 || getUnitStyle() === 8) {
+        // Names are exact already (divisions, items, pan, notes)
+        updateDisplay();
+        return displayText;
+    }
+    // Plain number in the displayed unit keeps full precision (minus float rounding noise)
+    return parseFloat(currentValue.toPrecision(12)).toString();
+}
+
+// Copy the current value (or the selected edit text) to the clipboard
+function copy() {
+    clipboard.text = isEditing ? getSelectedEditText() : getValueText();
+}
+
+// Paste clipboard text: into the edit text while editing, otherwise as a new value
+function paste() {
+    var text = clipboard.text;
+    if (text === undefined || text === null || text === "") {
+        return;
     }
+    text = text.toString();
     
+    if (isEditing) {
+        insertEditText(text);
+    } else {
+        // Paste through the normal edit path so it is parsed, validated and recorded for undo
+        isEditing = true;
+        editText = text;
+        commitEdit();
+    }
+}
+
+// === SIZING AND LAYOUT ===
+// Status: 🔍 TBTC - Text, caret and focus brackets scale with the box height
+// At the live.numbox height of 15px everything matches the original fixed layout
+
+var baseHeight = 15;                  // Height the default metrics were designed for
+var fontFace = "Ableton Sans Medium"; // Font used for the value text
+var fontSizeSetting = 0;              // Font size in points, 0 = derived from the box height
+
+// Any size is allowed - paint() derives the layout from the current box
+function onresize(width, height) {
     // Redraw with new dimensions
     mgraphics.redraw();
 }
 
+// Set the font face, e.g. fontface "Ableton Sans Bold" (no name = Ableton Sans Medium)
+function fontface() {
+    var name = arrayfromargs(arguments).join(" ");
+    fontFace = name || "Ableton Sans Medium";
+    mgraphics.redraw();
+}
+
+// Set the font size in points (0 = scale with the box height)
+function fontsize(size) {
+    fontSizeSetting = Math.max(0, size || 0);
+    mgraphics.redraw();
+}
+
+// Font size for a box height: 10pt at 15px like live.numbox, unless set explicitly
+function getFontSize(height) {
+    if (fontSizeSetting > 0) {
+        return fontSizeSetting;
+    }
+    return Math.max(6, height * 10 / baseHeight);
+}
+
+// Scale factor for drawing details (brackets, markers) relative to the 15px layout
+function getLayoutScale(height) {
+    return Math.max(1, height / baseHeight);
+}
+
 // === DRAWING AND RENDERING ===
 // Status: ✅ WORKING - Visual appearance matches live.numbox perfectly
 
+// === TEXT OVERFLOW ===
+// Status: 🔍 TBTC - Narrow boxes shorten the text step by step instead of drawing past the border:
+// fewer decimals, then no dB/%/st suffix (or custom unit text), then "+++" for numbers or an ellipsis for item names
+// The full text is shown in the hover hint while it is shortened - the hint is only set while
+// the mouse is over the box (never from paint), and the user's own hint is kept in the state record
+
+var overflowMarker = "+++";  // Shown like Max when a number can't fit at all
+var overflowEllipsis = "\u2026";
+var droppableSuffixes = ["dB", "%", "st"]; // Never ms/s or Hz/kHz: without them the scale is lost
+var overflowText = null;     // Full text while the display is shortened, null when it fits
+var overflowHint = null;     // Full text currently in the box hint, null when the hint is the user's
+var userHint = "";           // The user's own hint, restored when the mouse leaves
+
+// Shorten displayText until text_measure says it fits in maxWidth, returns its extents
+// Must be called from paint() with the font already selected
+function fitDisplayText(maxWidth) {
+    updateDisplay();
+    var fullText = displayText;
+    var textExtents = mgraphics.text_measure(displayText);
+    
+    // 1. Drop decimal places
+    for (var precisionDrop = 1; precisionDrop <= 3 && textExtents[0] > maxWidth; precisionDrop++) {
+        updateDisplay(precisionDrop);
+        textExtents = mgraphics.text_measure(displayText);
+    }
+    
+    // 2. Drop a non-scaling unit suffix ("12 dB" -> "12")
+    var suffixMatch = /^(-?[\d.]+)\s+(\S+)$/.exec(displayText);
+    if (textExtents[0] > maxWidth && suffixMatch && droppableSuffixes.indexOf(suffixMatch[2]) !== -1) {
+        displayText = suffixMatch[1];
+        textExtents = mgraphics.text_measure(displayText);
+    }
+    
+    // Custom units: keep only the number, without the literal text around it ("12 bars" -> "12")
+    var numberFormat = getCustomNumberFormat();
+    if (textExtents[0] > maxWidth && numberFormat) {
+        displayText = formatUnits(numberFormat, currentValue, precisionDrop - 1); // Last drop tried above
+        textExtents = mgraphics.text_measure(displayText);
+    }
+    
+    // 3. Truncate item names with an ellipsis, replace anything else with "+++"
+    if (textExtents[0] > maxWidth) {
+        if (parameterType === 2 || isTimeSynced()) {
+            var text = displayText;
+            while (text.length > 1 && mgraphics.text_measure(text + overflowEllipsis)[0] > maxWidth) {
+                text = text.substring(0, text.length - 1);
+            }
+            displayText = text + overflowEllipsis;
+        } else {
+            displayText = overflowMarker;
+        }
+        textExtents = mgraphics.text_measure(displayText);
+    }
+    
+    overflowText = (displayText !== fullText) ? fullText : null;
+    return textExtents;
+}
+
+// The number part of a custom unit format ("%0.2f" of "%0.2f bars"), null for other unit styles
+function getCustomNumberFormat() {
+    if (parameterType === 2 || getUnitStyle() !== 9) {
+        return null;
+    }
+    var match = /%[-+ 0]*\d*(?:\.\d+)?[dif]/.exec(getCustomUnits() || "");
+    return match ? match[0] : null;
+}
+
+// Put the full text in the box hint while hovering a shortened value (show = 0 puts the user's hint back)
+function showOverflowHint(show) {
+    var text = show ? overflowText : null;
+    if (text === overflowHint) {
+        return; // Only touch the attribute when something changed
+    }
+    if (overflowHint === null) {
+        userHint = box.getattr("hint") || "";
+    }
+    box.setattr("hint", (text !== null) ? text : userHint);
+    overflowHint = text;
+}
+
+// The user's hint, even while the overflow text is showing (saved in the state record)
+function getUserHint() {
+    return (overflowHint !== null) ? userHint : (box.getattr("hint") || "");
+}
+
+// Choose how the value's position is shown: "plain" (0), "slider" (1) or "triangle" (2)
+function appearance(mode) {
+    if (mode === "plain") mode = 0;
+    if (mode === "slider") mode = 1;
+    if (mode === "triangle") mode = 2;
+    appearanceMode = Math.max(0, Math.min(2, Math.round(mode))) || 0;
+    mgraphics.redraw();
+}
+
+// Draw the slider fill or triangle marker at the value's normalized position
+// The fill starts at 0 when the range crosses it (bipolar), otherwise at the left edge
+function drawValuePosition(width, height, color) {
+    var position = getNormalizedOutput(currentValue);
+    var left = 1;
+    var span = width - 2;
+    var valueX = left + position * span;
+    
+    with (mgraphics) {
+        if (appearanceMode === 1) {
+            var originX = left;
+            if (!isTimeSynced() && parameterType !== 2 && Math.min(minValue, maxValue) < 0 && Math.max(minValue, maxValue) > 0) {
+                originX = left + valueToNormalized(0) * span;
+            }
+            set_source_rgba(color[0], color[1], color[2], color[3] * 0.35);
+            rectangle(Math.min(originX, valueX), 1, Math.abs(valueX - originX), height - 2);
+            fill();
+        } else if (appearanceMode === 2) {
+            // Small upward triangle sitting on the bottom edge
+            var size = 3 * getLayoutScale(height);
+            valueX = Math.max(left + size, Math.min(left + span - size, valueX));
+            set_source_rgba(color[0], color[1], color[2], color[3]);
+            move_to(valueX - size, height - 1);
+            line_to(valueX + size, height - 1);
+            line_to(valueX, height - 1 - size);
+            close_path();
+            fill();
+        }
+    }
+}
+
 function paint() {
     with (mgraphics) {
         var width = this.box.rect[2] - this.box.rect[0];
@@ -761,24 +2342,33 @@ function paint() {
         rectangle(0, 0, width, height);
         fill();
         
-        // Draw border with LCD style
-        set_source_rgba(0.5, 0.5, 0.5, 1.0);
+        // Draw border with LCD style (red while flashing an input error)
+        var borderColor = showError ? [1.0, 0.2, 0.2, 1.0] : getColor("LCD Frame");
+        set_source_rgba(borderColor[0], borderColor[1], borderColor[2], borderColor[3]);
         set_line_width(1);
         rectangle(0.5, 0.5, width - 1, height - 1);
         stroke();
         
         // Draw text (to match live.numbox)
-        select_font_face("Ableton Sans Medium");
-        var fontSize = 10;
+        select_font_face(fontFace);
+        var fontSize = getFontSize(height);
         set_font_size(fontSize);
         
         // Set text color based on active state
         var colorName = activeState ? "LCD Icon / Text" : "LCD Icon / Text (Inactive)";
         var textColor = getColor(colorName);
+        
+        // Slider fill or triangle marker behind the text (not while typing)
+        if (appearanceMode !== 0 && !isEditing) {
+            drawValuePosition(width, height, customColors.fill || textColor);
+        }
         set_source_rgba(textColor[0], textColor[1], textColor[2], textColor[3]);
         
+        // Shorten the text until it fits inside the box padding (typed text is shown as is)
+        var maxTextWidth = width - 4;
+        var textExtents = isEditing ? text_measure(displayText) : fitDisplayText(maxTextWidth);
+        
         // Position text based on justification
-        var textExtents = text_measure(displayText);
         var textX, textY;
         
         // Horizontal positioning based on justification
@@ -795,18 +2385,38 @@ function paint() {
                 break;
         }
         
-        // Vertical centering remains the same
-        textY = height / 2 + 4; //it sits better with 3.5 but I'm worried about half pixels
+        // Vertical centering from the font metrics: ascent above the baseline, descent below
+        var fontExtents = font_extents();
+        textY = Math.round((height - fontExtents[0] - fontExtents[1]) / 2 + fontExtents[0]);
+        
+        // Measure where each caret index sits (used for drawing and for clicks in onclick)
+        if (isEditing) {
+            caretOffsets = [];
+            for (var i = 0; i <= editText.length; i++) {
+                caretOffsets.push(textX + text_measure(editText.substring(0, i))[0]);
+            }
+            
+            // Highlight the selection behind the text
+            if (hasSelection()) {
+                var selectionLeft = caretOffsets[Math.min(selectionAnchor, caretPosition)];
+                var selectionRight = caretOffsets[Math.max(selectionAnchor, caretPosition)];
+                set_source_rgba(textColor[0], textColor[1], textColor[2], 0.3);
+                rectangle(selectionLeft, textY - (fontSize * 0.90), selectionRight - selectionLeft, fontSize);
+                fill();
+                set_source_rgba(textColor[0], textColor[1], textColor[2], textColor[3]);
+            }
+        }
         
         move_to(textX, textY);
         show_text(displayText);
         
-        // Draw flashing cursor when in edit mode
+        // Draw flashing cursor at the caret when in edit mode
         if (isEditing && showCursor) {
-            set_source_rgba(1.0, 0.2, 0.2, 1.0); // Red cursor
+            var cursorColor = getColor("Edit Cursor"); // Red unless set per instance
+            set_source_rgba(cursorColor[0], cursorColor[1], cursorColor[2], cursorColor[3]);
             set_line_width(1);
-            var cursorX = textX + textExtents[0] + 2; // Position after text
-            // Cursor height matches font size: baseline is ~90% down from top when limiting object size to 15 like live.numbox
+            var cursorX = caretOffsets[caretPosition] + 1; // Just after the glyph before the caret
+            // Cursor height follows the derived font size: ~90% above the baseline, ~10% below
             var cursorTop = textY - (fontSize * 0.90);
             var cursorBottom = textY + (fontSize * 0.10);
             move_to(cursorX, cursorTop);
@@ -814,13 +2424,33 @@ function paint() {
             stroke();
         }
         
-        // Draw focus crosshair lines when object has focus
-        if (hasFocus) {
-            // Use same color as text for focus lines
-            set_source_rgba(textColor[0], textColor[1], textColor[2], textColor[3]);
+        // Modulation indicator: bar along the top edge from the base to the modulated position
+        if (!isEditing && modulationAmount !== 0 && getModulationMode() !== 0 && parameterType !== 2) {
+            var baseX = 2 + valueToNormalized(currentValue) * (width - 4);
+            var modulatedX = 2 + valueToNormalized(getModulatedValue()) * (width - 4);
+            set_source_rgba(textColor[0], textColor[1], textColor[2], textColor[3] * 0.6);
+            rectangle(Math.min(baseX, modulatedX), 1, Math.max(1, Math.abs(modulatedX - baseX)), 2);
+            fill();
+        }
+        
+        // Hint that the value is outside the soft drag range: faint line along the bottom edge
+        if (!isEditing && isOutsideSoftRange(currentValue)) {
+            set_source_rgba(textColor[0], textColor[1], textColor[2], textColor[3] * 0.4);
             set_line_width(1);
-            var cornerSize = 3; // Length of corner lines
-            var inset = 1; // Inset from edges to ensure visibility
+            move_to(3, height - 2.5);
+            line_to(width - 3, height - 2.5);
+            stroke();
+        }
+        
+        // Draw focus crosshair lines when object has focus, sized with the box
+        if (hasFocus) {
+            var layoutScale = getLayoutScale(height);
+            // Use same color as text for focus lines unless set per instance
+            var focusColor = customColors.focus || textColor;
+            set_source_rgba(focusColor[0], focusColor[1], focusColor[2], focusColor[3]);
+            set_line_width(Math.round(layoutScale));
+            var cornerSize = Math.round(3 * layoutScale); // Length of corner lines
+            var inset = Math.round(layoutScale); // Inset from edges to ensure visibility
             
             // Top-left corner
             move_to(inset, cornerSize + inset);
@@ -848,43 +2478,164 @@ function paint() {
 }
 
 // === PARAMETER PERSISTENCE FUNCTIONS ===
-// Status: ✅ WORKING - Save/restore system works correctly for patcher persistence
+// Status: 🔍 TBTC - One versioned JSON state record, applied in a fixed order on load
+// Older patches saved seven separate messages replayed by Tasks at 10..60 ms, so the
+// order depended on timing - those are migrated into a record and applied once
+
+var stateVersion = 1;     // Version written by save(), bump when the record layout changes
+var restoringState = 0;   // 1 while a record is applied - attribute listeners stay quiet
+var restoredState = null; // Last applied record, re-asserted on loadbang
+var legacyState = null;   // Record being collected from the old multi-message format
+var legacyTask = new Task(applyLegacyState, this);
 
 // Save function called when patcher is saved
 function save() {
-    // Save internal state variables
-    embedmessage("restoreInternalState", 
-        currentValue, 
-        minValue, 
-        maxValue, 
-        initialValue, 
-        textJustification, 
-        activeState
-    );
-    
-    // Save critical parameter attributes that Max doesn't persist properly
-    embedmessage("restoreParameterType", box.getattr("_parameter_type"));
-    embedmessage("restoreInitialEnable", box.getattr("_parameter_initial_enable"));
-    embedmessage("restoreInitialValue", box.getattr("_parameter_initial"));
-    embedmessage("restoreUnitStyle", box.getattr("_parameter_unitstyle"));
-    embedmessage("restoreParameterInvisible", box.getattr("_parameter_invisible"));
-    
-    // Save range if it exists
+    embedmessage("restoreInternalState", JSON.stringify(getStateRecord()));
+}
+
+// Collect the full object state: parameter attributes Max doesn't persist properly,
+// internal state and object settings
+function getStateRecord() {
     var range = box.getattr("_parameter_range");
-    if (range && range.length >= 2) {
-        embedmessage("restoreParameterRange", range[0], range[1]);
+    if (parameterType === 2) {
+        range = attrToStringArray(range); // Full item list for enum
+    } else if (range && range.length >= 2) {
+        range = [range[0], range[1]];
+    } else {
+        range = [minValue, maxValue];
     }
+    
+    return {
+        version: stateVersion,
+        
+        // Parameter attributes
+        type: box.getattr("_parameter_type"),
+        range: range,
+        unitstyle: box.getattr("_parameter_unitstyle"),
+        units: box.getattr("_parameter_units"),
+        exponent: exponent,
+        steps: parameterSteps,
+        initial_enable: box.getattr("_parameter_initial_enable"),
+        initial: box.getattr("_parameter_initial"),
+        invisible: box.getattr("_parameter_invisible"),
+        hint: getUserHint(),
+        
+        // Internal state
+        value: currentValue,
+        justification: textJustification,
+        active: activeState,
+        
+        // Object settings
+        outputsymbol: enumSymbolOutput,
+        middlec: middleCOctave,
+        sync: timeSyncMode,
+        division: syncIndex,
+        tempo: tempoBpm,
+        dragsensitivity: dragPixels,
+        acceleration: dragAcceleration,
+        dragdirection: dragDirection,
+        rangemode: rangeMode,
+        ramp: rampTime,
+        normalizedout: normalizedOutput,
+        rangeoverride: rangeOverride,
+        appearance: appearanceMode,
+        fontface: fontFace,
+        fontsize: fontSizeSetting,
+        colors: customColors,
+        softrange: softRangeEnabled ? [softMin, softMax] : null
+    };
 }
 
-// Restore internal state variables
+// Restore the saved state: one JSON record, or the first message of the old format
+// (value, min, max, initial, justification, active)
 function restoreInternalState(value, min, max, initial, justification, active) {
-    // Restore internal variables directly
-    currentValue = value;
-    minValue = min;
-    maxValue = max;
-    initialValue = initial;
-    textJustification = justification;
-    activeState = active;
+    if (arguments.length === 1 && typeof value === 'string') {
+        var record;
+        try {
+            record = JSON.parse(value);
+        } catch (e) {
+            post("restoreInternalState: can't read saved state\n");
+            return;
+        }
+        legacyState = null;
+        applyStateRecord(record);
+        return;
+    }
+    
+    // Old format: the attribute messages follow, so collect them and apply once
+    setLegacyState("value", value);
+    setLegacyState("range", [min, max]);
+    setLegacyState("initial", initial);
+    setLegacyState("justification", justification);
+    setLegacyState("active", active);
+}
+
+// Apply a state record in a fixed order: parameter attributes (type before range, range before
+// the value), then settings, then the value, then a single display update
+function applyStateRecord(record) {
+    if (!record || typeof record !== 'object') {
+        return;
+    }
+    if (record.version > stateVersion) {
+        post("restoreInternalState: saved by a newer version, restoring what is known\n");
+    }
+    
+    restoringState = 1;
+    stopRamp();
+    applyParameterAttributes(record);
+    
+    // Read the attributes back so the range, curve and initial value match what was set
+    updateParameterType();
+    updateExponent();
+    updateSteps();
+    updateInitialValue();
+    if (record.range && record.range.length >= 2 && parameterType !== 2) {
+        minValue = record.range[0];
+        maxValue = record.range[1];
+    }
+    if (record.rangeoverride !== undefined) {
+        rangeOverride = (record.rangeoverride && record.rangeoverride.length > 0) ? record.rangeoverride : null;
+    }
+    updateRange();
+    
+    // Object settings (missing keys keep their defaults)
+    if (record.outputsymbol !== undefined) outputsymbol(record.outputsymbol);
+    if (record.middlec !== undefined) middleCOctave = Math.round(record.middlec);
+    if (record.sync !== undefined) timeSyncMode = record.sync ? 1 : 0;
+    if (record.division !== undefined) syncIndex = Math.max(0, Math.min(syncDivisions.length - 1, Math.round(record.division)));
+    if (record.tempo > 0) tempoBpm = record.tempo;
+    if (record.dragsensitivity !== undefined) dragsensitivity(record.dragsensitivity);
+    if (record.acceleration !== undefined) acceleration(record.acceleration);
+    if (record.dragdirection !== undefined) dragdirection(record.dragdirection);
+    if (record.rangemode !== undefined) rangemode(record.rangemode);
+    if (record.ramp !== undefined) ramp(record.ramp);
+    if (record.normalizedout !== undefined) normalizedout(record.normalizedout);
+    if (record.appearance !== undefined) appearance(record.appearance);
+    if (record.fontface) fontFace = record.fontface;
+    if (record.fontsize !== undefined) fontsize(record.fontsize);
+    if (record.colors) {
+        customColors = {};
+        for (var i = 0; i < colorNames.length; i++) {
+            var saved = record.colors[colorNames[i]];
+            if (saved && saved.length >= 3) {
+                customColors[colorNames[i]] = [saved[0], saved[1], saved[2], (saved.length >= 4) ? saved[3] : 1];
+            }
+        }
+    }
+    if (record.softrange && record.softrange.length >= 2) {
+        softrange(record.softrange[0], record.softrange[1]);
+    } else if (record.softrange === null) {
+        softrange();
+    }
+    
+    // Internal state last, so the value is constrained by the restored range and settings
+    if (record.justification !== undefined) textJustification = record.justification;
+    if (record.active !== undefined) activeState = record.active ? 1 : 0;
+    if (record.value !== undefined) currentValue = constrainValue(record.value);
+    rampValue = null;
+    
+    restoringState = 0;
+    restoredState = record;
     
     // Update display and redraw
     updateDisplay();
@@ -893,60 +2644,76 @@ function restoreInternalState(value, min, max, initial, justification, active) {
     post("RESTORED: Internal state restored\n");
 }
 
-// Restore critical parameter attributes (necessary to prevent blob type reversion)
+// Set the parameter attributes stored in a record, in dependency order
+function applyParameterAttributes(record) {
+    if (record.type !== undefined && record.type !== null) box.setattr("_parameter_type", record.type);
+    if (record.range && record.range.length > 0) box.setattr("_parameter_range", record.range);
+    if (record.unitstyle !== undefined && record.unitstyle !== null) box.setattr("_parameter_unitstyle", record.unitstyle);
+    if (record.units !== undefined && record.units !== null) box.setattr("_parameter_units", record.units);
+    if (record.exponent !== undefined) box.setattr("_parameter_exponent", record.exponent);
+    if (record.steps !== undefined) box.setattr("_parameter_steps", record.steps);
+    if (record.initial_enable !== undefined && record.initial_enable !== null) box.setattr("_parameter_initial_enable", record.initial_enable);
+    if (record.initial !== undefined && record.initial !== null) box.setattr("_parameter_initial", record.initial);
+    if (record.invisible !== undefined && record.invisible !== null) box.setattr("_parameter_invisible", record.invisible);
+    
+    // A patch saved while hovering a shortened value has the overflow text as its hint
+    if (typeof record.hint === 'string') {
+        overflowHint = null;
+        userHint = record.hint;
+        if ((box.getattr("hint") || "") !== record.hint) box.setattr("hint", record.hint);
+    }
+}
+
+// === LEGACY STATE MIGRATION ===
+// Status: 🔍 TBTC - Patches saved before the state record replay these messages on load
+// Each one adds to a record that is applied once, after the last message has arrived
+
+function setLegacyState(key, value) {
+    if (!legacyState) {
+        legacyState = { version: 0 };
+    }
+    legacyState[key] = value;
+    legacyTask.schedule(10); // Restarts the wait on every message
+}
+
+function applyLegacyState() {
+    legacyTask.cancel();
+    if (legacyState) {
+        var record = legacyState;
+        legacyState = null;
+        applyStateRecord(record);
+    }
+}
+
+function restoreTimeSync(mode, index, bpm) {
+    setLegacyState("sync", mode);
+    setLegacyState("division", index);
+    setLegacyState("tempo", bpm);
+}
+
 function restoreParameterType(type) {
-    // This setattr is specifically for restoration from save, not dynamic changes
-    var task = new Task(function() {
-        box.setattr("_parameter_type", type);
-        if (type !== 0) {
-            post("Set _parameter_type to 0 (float) - nothing else supported yet\n");
-        } else {
-            post("RESTORED: _parameter_type to", type, "\n");
-        }
-    }, this);
-    task.schedule(10);
+    setLegacyState("type", type);
 }
 
 function restoreInitialEnable(enable) {
-    var task = new Task(function() {
-        box.setattr("_parameter_initial_enable", enable);
-        post("RESTORED: _parameter_initial_enable to", enable, "\n");
-    }, this);
-    task.schedule(20);
+    setLegacyState("initial_enable", enable);
 }
 
 function restoreInitialValue(value) {
-    var task = new Task(function() {
-        if (value !== null && value !== undefined) {
-            box.setattr("_parameter_initial", value);
-            post("RESTORED: _parameter_initial to", value, "\n");
-        }
-    }, this);
-    task.schedule(30);
+    setLegacyState("initial", value);
 }
 
-function restoreParameterRange(min, max) {
-    var task = new Task(function() {
-        box.setattr("_parameter_range", [min, max]);
-        post("RESTORED: _parameter_range to [", min, ",", max, "]\n");
-    }, this);
-    task.schedule(40);
+function restoreParameterRange() {
+    // min/max pair for float, or the full list of item symbols for enum
+    setLegacyState("range", arrayfromargs(arguments));
 }
 
 function restoreUnitStyle(style) {
-    var task = new Task(function() {
-        box.setattr("_parameter_unitstyle", style);
-        post("RESTORED: _parameter_unitstyle to", style, "\n");
-    }, this);
-    task.schedule(50);
+    setLegacyState("unitstyle", style);
 }
 
 function restoreParameterInvisible(invisible) {
-    var task = new Task(function() {
-        box.setattr("_parameter_invisible", invisible);
-        post("RESTORED: _parameter_invisible to", invisible, "\n");
-    }, this);
-    task.schedule(60);
+    setLegacyState("invisible", invisible);
 }
 
 // === PATTR AND LIVE PARAMETER FUNCTIONS ===
@@ -956,17 +2723,35 @@ function restoreParameterInvisible(invisible) {
 function getvalueof() {
     // Return the current value - this is what Live automates and saves in presets
     // STATUS: ✅ WORKING for pattr, ❌ NOT WORKING for Live automation
+    // Int and enum values are always whole numbers (see constrainValue)
+    // Synced time stores the note division index instead of the free ms value
+    if (isTimeSynced()) {
+        return syncIndex;
+    }
     return currentValue;
 }
 
 // Required for pattr system and Live parameter automation  
 function setvalueof(value) {
     // STATUS: ✅ WORKING for pattr, ❌ NOT WORKING for Live automation
-    // Ensure we have latest range values from inspector
+    // Ensure we have latest range and step values from inspector
     updateRange();
+    updateSteps();
     
-    // Clamp incoming value to current range and set
-    currentValue = Math.max(minValue, Math.min(maxValue, value));
+    // Synced time: the stored value is a note division index (see getvalueof)
+    if (isTimeSynced()) {
+        syncIndex = Math.max(0, Math.min(syncDivisions.length - 1, Math.round(value)));
+        updateDisplay();
+        mgraphics.redraw();
+        if (activeState) {
+            sendValue();
+        }
+        return;
+    }
+    
+    // pattr and Live store the value itself, so it only needs the range and steps
+    // (0..1 positions along the exponent curve come in through the normalized message)
+    currentValue = constrainValue(value);
     
     // Update display to reflect new value
     updateDisplay();
@@ -974,7 +2759,7 @@ function setvalueof(value) {
     
     // Output the new value if object is active (allows pattr/Live to control output)
     if (activeState) {
-        outlet(0, outputValue);
+        sendValue();
     }
 }
 
@@ -983,9 +2768,21 @@ function setvalueof(value) {
 
 // Initialize from inspector attributes on load
 function loadbang() {
-    // Restoring the objects state is handled by the save() function
+    // Restoring the objects state is handled by restoreInternalState before loadbang
+    // Old-format patches are applied now rather than waiting for the migration Task
+    applyLegacyState();
+    if (restoredState) {
+        // Max can revert parameter attributes after the embedded messages - set them again
+        restoringState = 1;
+        applyParameterAttributes(restoredState);
+        restoringState = 0;
+    }
+    
     // Initialize display
     parseJustificationArgs();
+    updateExponent();
+    updateSteps();
+    updateRange(); // Reads enum item names when _parameter_type is enum
     updateDisplay();
     notifyclients();
     mgraphics.redraw();